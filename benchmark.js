@@ -14,7 +14,6 @@ const {
 
 const async = require('async');
 const Bluebird = require('bluebird');
-const {waterfall} = require("./lib");
 
 // نمونه تابع Async برای تست
 function sampleTask(duration) {
@@ -114,19 +113,11 @@ async function testWaterfall() {
     console.time('Custom Waterfall');
     console.log("iterations" + iterations)
     for (let i = 0; i < iterations; i++) {
-        const tasks = [
+        await customWaterfall([
             (callback) => sampleTaskCallback(10, callback),
-            (callback) => sampleTaskCallback(20, callback),
-            (callback) => sampleTaskCallback(30, callback)
-        ];
-        await waterfall(tasks);
-        // await new Promise((resolve, reject) => {
-        //     customWaterfall([
-        //         (callback) => sampleTaskCallback(10, callback),
-        //         (result1, callback) => sampleTaskCallback(20, callback),
-        //         (result2, callback) => sampleTaskCallback(30, callback)
-        //     ]).then(resolve).catch(reject);
-        // });
+            (result1, callback) => sampleTaskCallback(20, callback),
+            (result2, callback) => sampleTaskCallback(30, callback)
+        ]);
     }
     console.timeEnd('Custom Waterfall');
 
@@ -268,6 +259,26 @@ async function testAny() {
 }
 
 
+async function testSome() {
+    const promisesSome = [
+        sampleTask(10).then(() => Promise.reject('error1')),
+        sampleTask(20).then(() => 'result1'),
+        sampleTask(30).then(() => 'result2')
+    ];
+
+    console.time('Custom Some');
+    for (let i = 0; i < iterations; i++) {
+        await customSome(promisesSome, 2);
+    }
+    console.timeEnd('Custom Some');
+
+    console.time('Bluebird Some');
+    for (let i = 0; i < iterations; i++) {
+        await Bluebird.some(promisesSome, 2);
+    }
+    console.timeEnd('Bluebird Some');
+}
+
 async function testAllSettled() {
     const promisesAllSettled = [
         sampleTask(10).then(() => 'result1'),
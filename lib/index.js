@@ -1,213 +1,3742 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const {randomUUID} = require('crypto');
+const {promisify} = require('util');
+const {Readable} = require('stream');
+const diagnosticsChannel = require('diagnostics_channel');
+
+/**
+ * Error used to reject operations that were cancelled through an AbortSignal
+ */
+class AbortError extends Error {
+    constructor(message = 'Operation cancelled', options) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Error used to reject operations that did not settle in time
+ */
+class TimeoutError extends Error {
+    constructor(message = 'Operation timed out', options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Error used to reject calls short-circuited by an open circuit breaker
+ */
+class CircuitOpenError extends Error {
+    constructor(message = 'Circuit breaker is open', options) {
+        super(message, options);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+/**
+ * Convert the reason of an aborted signal to an AbortError
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {AbortError} - The error to reject with
+ */
+function toAbortError(signal) {
+    const reason = signal.reason;
+    return reason instanceof AbortError ? reason : new AbortError('Operation cancelled', {cause: reason});
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - The signal to check
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw toAbortError(signal);
+    }
+}
+
+/**
+ * Race a promise against a signal, rejecting with an AbortError as soon as the signal aborts
+ * @param {Promise} promise - The promise to race
+ * @param {AbortSignal} [signal] - The signal to race against
+ * @returns {Promise} - Promise settling with the promise or rejecting on abort
+ */
+function raceSignal(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(toAbortError(signal));
+        signal.addEventListener('abort', onAbort, {once: true});
+        if (signal.aborted) {
+            onAbort();
+        }
+        promise.then(result => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        }, err => {
+            signal.removeEventListener('abort', onAbort);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Wait for a delay, rejecting with an AbortError if the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal cancelling the wait
+ * @returns {Promise} - Promise resolving after the delay
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(toAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, {once: true});
+        }
+    });
+}
+
+/**
+ * A cancellation token backed by an AbortController
+ */
 class CancellationToken {
     constructor() {
-        this.isCancelled = false;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        // Removes the listeners a linked token holds on its sources
+        this.unlink = () => {};
+    }
+
+    get isCancelled() {
+        return this.signal.aborted;
+    }
+
+    cancel(reason) {
+        this.unlink();
+        if (!this.isCancelled) {
+            this.controller.abort(reason instanceof AbortError ? reason : new AbortError('Operation cancelled', {cause: reason}));
+        }
+    }
+
+    /**
+     * Stop following the sources of a linked token; call once the work it guards has settled
+     */
+    dispose() {
+        this.unlink();
+    }
+
+    /**
+     * Register a hook to run when the token is cancelled
+     * @param {Function} hook - Function called with the AbortError
+     * @returns {Function} - Function removing the hook
+     */
+    onCancel(hook) {
+        const listener = () => hook(toAbortError(this.signal));
+        if (this.isCancelled) {
+            listener();
+            return () => {};
+        }
+        this.signal.addEventListener('abort', listener, {once: true});
+        return () => this.signal.removeEventListener('abort', listener);
+    }
+
+    throwIfCancelled() {
+        throwIfAborted(this.signal);
+    }
+
+    /**
+     * Create a token cancelled as soon as any of the given tokens or signals is cancelled
+     * @param {...(CancellationToken|AbortSignal)} sources - Tokens or signals to follow
+     * @returns {CancellationToken} - The linked token
+     */
+    static linked(...sources) {
+        const token = new CancellationToken();
+        const signals = sources.filter(Boolean).map(source => source instanceof CancellationToken ? source.signal : source);
+        const onAbort = event => token.cancel(event.target.reason);
+        token.unlink = () => {
+            token.unlink = () => {};
+            signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+        };
+
+        for (const signal of signals) {
+            if (signal.aborted) {
+                token.cancel(signal.reason);
+                break;
+            }
+            signal.addEventListener('abort', onAbort, {once: true});
+        }
+        return token;
+    }
+
+    /**
+     * Create a token cancelled automatically after a delay
+     * @param {number} ms - Milliseconds before cancellation
+     * @returns {CancellationToken} - The timeout token
+     */
+    static timeout(ms) {
+        const token = new CancellationToken();
+        const timer = setTimeout(() => token.cancel(new AbortError(`Operation timed out after ${ms}ms`)), ms);
+        if (timer.unref) {
+            timer.unref();
+        }
+        token.onCancel(() => clearTimeout(timer));
+        return token;
+    }
+}
+
+/**
+ * An argument-keyed cache of promises with optional TTL expiry and LRU eviction
+ */
+class MemoCache {
+    constructor({ttl = 0, maxSize = Infinity} = {}) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires && entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // Re-insert to mark the entry as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.promise;
+    }
+
+    set(key, promise) {
+        this.entries.delete(key);
+        this.entries.set(key, {promise, expires: this.ttl > 0 ? Date.now() + this.ttl : 0});
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key, promise) {
+        const entry = this.entries.get(key);
+        if (entry && (promise === undefined || entry.promise === promise)) {
+            this.entries.delete(key);
+            return true;
+        }
+        return false;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Build the default cache key for a list of arguments
+ * @param {...*} args - Arguments of the call
+ * @returns {string} - The cache key
+ */
+function defaultCacheKey(...args) {
+    return JSON.stringify(args);
+}
+
+/**
+ * Shape the values passed to a callback into the resolved value
+ * @param {Array} values - Callback values, without the error
+ * @param {boolean|Array<string>} multiArgs - `true` for an array, an array of names for an object
+ * @returns {*} - The resolved value
+ */
+function callbackResult(values, multiArgs) {
+    if (Array.isArray(multiArgs)) {
+        const result = {};
+        multiArgs.forEach((name, index) => {
+            result[name] = values[index];
+        });
+        return result;
+    }
+    return multiArgs ? values : values[0];
+}
+
+/**
+ * Convert a callback-based function to a promise-based function.
+ * The function is called with the `this` of each call, and a `util.promisify.custom` implementation is used
+ * when the function provides one.
+ * @param {Function} func - The callback-based function
+ * @param {Object} [options] - Conversion options
+ * @param {boolean|Array<string>} [options.multiArgs] - Resolve with every callback value as an array, or as an
+ * object keyed by the given names
+ * @param {number|boolean} [options.errorIndex] - Position of the error among the callback arguments, `false` when
+ * the callback receives no error
+ * @param {boolean|Object} [options.cache] - Memoize results by arguments, separately for each object the function is
+ * called on; pass an object to configure. `delete(...args)` forgets a call made without a receiver, use
+ * `delete.call(receiver, ...args)` for a method call
+ * @param {Function} [options.cache.resolver] - Builds the cache key from the call arguments; the call rejects
+ * when it throws
+ * @param {number} [options.cache.ttl] - Milliseconds after which a cached result expires
+ * @param {number} [options.cache.maxSize] - Maximum number of cached results, least recently used are evicted first
+ * @returns {Function} - The promise-based function
+ */
+function callbackToPromise(func, options = {}) {
+    const {multiArgs = false, errorIndex = 0} = options;
+    const custom = func[promisify.custom];
+
+    const call = typeof custom === 'function' ? custom : function (...args) {
+        return new Promise((resolve, reject) => {
+            func.call(this, ...args, (...values) => {
+                if (errorIndex !== false) {
+                    const [err] = values.splice(errorIndex, 1);
+                    if (err) {
+                        return reject(err);
+                    }
+                }
+                resolve(callbackResult(values, multiArgs));
+            });
+        });
+    };
+
+    if (!options.cache) {
+        const converted = function (...args) {
+            return call.apply(this, args);
+        };
+        converted[promisify.custom] = converted;
+        return converted;
+    }
+
+    const {resolver = defaultCacheKey, ttl, maxSize} = options.cache === true ? {} : options.cache;
+    const unboundCache = new MemoCache({ttl, maxSize});
+    let receiverCaches = new WeakMap();
+    // Methods of different objects must not share results, so each receiver gets its own cache
+    const cacheFor = receiver => {
+        if (receiver === null || (typeof receiver !== 'object' && typeof receiver !== 'function') || receiver === globalThis) {
+            return unboundCache;
+        }
+        if (!receiverCaches.has(receiver)) {
+            receiverCaches.set(receiver, new MemoCache({ttl, maxSize}));
+        }
+        return receiverCaches.get(receiver);
+    };
+
+    const memoized = function (...args) {
+        const cache = cacheFor(this);
+        let key;
+        try {
+            key = resolver(...args);
+        } catch (err) {
+            // Arguments that cannot be keyed, such as circular objects, reject instead of throwing
+            return Promise.reject(err);
+        }
+        const cached = cache.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const promise = call.apply(this, args);
+        cache.set(key, promise);
+        // Rejections are never cached, so the next call retries
+        promise.catch(() => cache.delete(key, promise));
+        return promise;
+    };
+
+    memoized.clear = () => {
+        unboundCache.clear();
+        receiverCaches = new WeakMap();
+    };
+    memoized.delete = function (...args) {
+        let key;
+        try {
+            key = resolver(...args);
+        } catch (err) {
+            // A call that cannot be keyed was never cached
+            return false;
+        }
+        return cacheFor(this === memoized ? undefined : this).delete(key);
+    };
+    memoized[promisify.custom] = memoized;
+    return memoized;
+}
+
+/**
+ * Convert a falsy rejection reason to an Error, the way util.callbackify does
+ * @param {*} reason - The rejection reason
+ * @returns {*} - The reason, or an Error carrying it
+ */
+function toCallbackError(reason) {
+    if (reason) {
+        return reason;
+    }
+    const err = new Error('Promise was rejected with a falsy value');
+    err.code = 'ERR_FALSY_VALUE_REJECTION';
+    err.reason = reason;
+    return err;
+}
+
+/**
+ * Call a user callback, rethrowing its exceptions asynchronously so they are never swallowed
+ * @param {Function} callback - The callback
+ * @param {...*} args - Arguments of the callback
+ */
+function invokeCallback(callback, ...args) {
+    try {
+        callback(...args);
+    } catch (err) {
+        process.nextTick(() => {
+            throw err;
+        });
+    }
+}
+
+/**
+ * Convert a promise-based function to a callback-based function.
+ * When the last argument is not a function, the returned function behaves like the original one and returns
+ * the promise. The callback is called exactly once; exceptions it throws are rethrown asynchronously.
+ * @param {Function} promiseFunc - The promise-based function
+ * @returns {Function} - The callback-based function
+ */
+function promiseToCallback(promiseFunc) {
+    return function (...args) {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const promise = new Promise(resolve => resolve(promiseFunc.apply(this, args)));
+        if (!callback) {
+            return promise;
+        }
+        promise.then(
+            result => invokeCallback(callback, null, result),
+            err => invokeCallback(callback, toCallbackError(err))
+        );
+    };
+}
+
+/**
+ * Default promisifyAll filter, skipping constructors and private-looking methods
+ * @param {string} name - Name of the method
+ * @returns {boolean} - Whether to promisify the method
+ */
+function defaultPromisifyFilter(name) {
+    return name !== 'constructor' && !name.startsWith('_');
+}
+
+/**
+ * Add promise-based versions of every callback-based method of an object, class or module.
+ * Own and inherited methods are covered; getters, setters and existing names are left alone,
+ * and the promise versions are non-enumerable so the original API is unchanged.
+ * @param {Object|Function} target - Object, module or class to promisify; classes also get their prototype promisified
+ * @param {Object} [options] - Promisify options
+ * @param {string} [options.suffix] - Suffix of the promise-based method names
+ * @param {Function} [options.filter] - Predicate `(name, method, target)` selecting the methods to promisify
+ * @param {boolean|Array<string>} [options.multiArgs] - Resolve with every callback value as an array, or as an
+ * object keyed by the given names
+ * @returns {Object|Function} - The target
+ */
+function promisifyAll(target, options = {}) {
+    const {suffix = 'Async', filter = defaultPromisifyFilter, multiArgs = false} = options;
+
+    for (let source = target; source && source !== Object.prototype && source !== Function.prototype; source = Object.getPrototypeOf(source)) {
+        for (const name of Object.getOwnPropertyNames(source)) {
+            const descriptor = Object.getOwnPropertyDescriptor(source, name);
+            const promisifiedName = name + suffix;
+            if (typeof descriptor.value !== 'function' || name.endsWith(suffix) || promisifiedName in target || !filter(name, descriptor.value, target)) {
+                continue;
+            }
+            Object.defineProperty(target, promisifiedName, {
+                value: callbackToPromise(descriptor.value, {multiArgs}),
+                writable: true,
+                configurable: true,
+                enumerable: false
+            });
+        }
+    }
+
+    if (typeof target === 'function' && target.prototype) {
+        promisifyAll(target.prototype, options);
+    }
+    return target;
+}
+
+/**
+ * Add an event listener to an EventEmitter or EventTarget
+ * @param {EventEmitter|EventTarget} emitter - Object emitting the event
+ * @param {string} name - Event name
+ * @param {Function} listener - Listener to add
+ * @returns {Function} - Function removing the listener
+ */
+function listen(emitter, name, listener) {
+    if (typeof emitter.on === 'function') {
+        emitter.on(name, listener);
+        return () => emitter.removeListener(name, listener);
+    }
+    emitter.addEventListener(name, listener);
+    return () => emitter.removeEventListener(name, listener);
+}
+
+/**
+ * Wait for an event
+ * @param {EventEmitter|EventTarget} emitter - Object emitting the event
+ * @param {string} name - Event name
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.rejectionEvents] - Events rejecting with their first argument, defaults to `['error']`
+ * @param {Function} [options.filter] - Function receiving the event arguments; events it returns false for are ignored
+ * @param {number} [options.timeout] - Milliseconds before rejecting with a TimeoutError
+ * @param {AbortSignal} [options.signal] - Signal that stops waiting
+ * @param {boolean} [options.multiArgs] - Resolve with an array of all event arguments
+ * @returns {Promise} - Promise resolving with the first matching event's argument
+ */
+function fromEvent(emitter, name, options = {}) {
+    const {rejectionEvents = ['error'], filter, timeout: ms, signal, multiArgs = false} = options;
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        const removers = [];
+        let timer = null;
+        let settled = false;
+        const settle = (settler, value) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            removers.forEach(remove => remove());
+            clearTimeout(timer);
+            settler(value);
+        };
+        // Adding a listener can emit synchronously (e.g. 'newListener'), so later listeners may arrive after settling
+        const track = remove => settled ? remove() : removers.push(remove);
+
+        track(listen(emitter, name, (...args) => {
+            if (!filter || filter(...args)) {
+                settle(resolve, multiArgs ? args : args[0]);
+            }
+        }));
+        for (const rejectionEvent of rejectionEvents) {
+            track(listen(emitter, rejectionEvent, err => settle(reject, err)));
+        }
+        if (settled) {
+            return;
+        }
+        if (ms !== undefined) {
+            timer = setTimeout(() => settle(reject, new TimeoutError(`Timed out waiting for "${name}" after ${ms}ms`)), ms);
+        }
+        if (signal) {
+            const onAbort = () => settle(reject, toAbortError(signal));
+            signal.addEventListener('abort', onAbort, {once: true});
+            removers.push(() => signal.removeEventListener('abort', onAbort));
+        }
+    });
+}
+
+/**
+ * Iterate over events as they are emitted. Events are buffered until read; once `highWaterMark`
+ * events are buffered the emitter is paused if it has `pause()`, otherwise iteration fails with
+ * an ERR_BUFFER_OVERFLOW error. Listeners are removed when iteration ends for any reason.
+ * @param {EventEmitter|EventTarget} emitter - Object emitting the events
+ * @param {string} name - Event name
+ * @param {Object} [options] - Options
+ * @param {string|Array<string>} [options.until] - Events ending the iteration
+ * @param {number} [options.highWaterMark] - Number of unread events to buffer
+ * @param {Array<string>} [options.rejectionEvents] - Events failing the iteration, defaults to `['error']`
+ * @param {AbortSignal} [options.signal] - Signal that fails the iteration with an AbortError
+ * @param {boolean} [options.multiArgs] - Yield arrays of all event arguments
+ * @returns {AsyncIterableIterator} - Iterator yielding each event's argument
+ */
+function eventIterator(emitter, name, options = {}) {
+    const {until = [], highWaterMark = Infinity, rejectionEvents = ['error'], signal, multiArgs = false} = options;
+    throwIfAborted(signal);
+    const buffer = [];
+    const readers = [];
+    const removers = [];
+    let finished = false;
+    let failure = null;
+    let paused = false;
+
+    const finish = err => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        removers.forEach(remove => remove());
+        if (err) {
+            // Buffered events are still delivered before the error
+            if (readers.length > 0) {
+                readers.shift().reject(err);
+            } else {
+                failure = err;
+            }
+        }
+        readers.splice(0).forEach(reader => reader.resolve({value: undefined, done: true}));
+    };
+
+    removers.push(listen(emitter, name, (...args) => {
+        const value = multiArgs ? args : args[0];
+        if (readers.length > 0) {
+            return readers.shift().resolve({value, done: false});
+        }
+        buffer.push(value);
+        if (buffer.length >= highWaterMark && !paused) {
+            if (typeof emitter.pause === 'function') {
+                paused = true;
+                emitter.pause();
+            } else if (buffer.length > highWaterMark) {
+                const err = new Error(`More than ${highWaterMark} unread "${name}" events`);
+                err.code = 'ERR_BUFFER_OVERFLOW';
+                finish(err);
+            }
+        }
+    }));
+    for (const endEvent of [].concat(until)) {
+        removers.push(listen(emitter, endEvent, () => finish()));
+    }
+    for (const rejectionEvent of rejectionEvents) {
+        removers.push(listen(emitter, rejectionEvent, err => finish(err)));
+    }
+    if (signal) {
+        const onAbort = () => finish(toAbortError(signal));
+        signal.addEventListener('abort', onAbort, {once: true});
+        removers.push(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    return {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+        next() {
+            if (buffer.length > 0) {
+                const value = buffer.shift();
+                if (paused && buffer.length < highWaterMark && !finished) {
+                    paused = false;
+                    emitter.resume();
+                }
+                return Promise.resolve({value, done: false});
+            }
+            if (failure) {
+                const err = failure;
+                failure = null;
+                return Promise.reject(err);
+            }
+            if (finished) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+            return new Promise((resolve, reject) => readers.push({resolve, reject}));
+        },
+        return(value) {
+            buffer.length = 0;
+            finish();
+            return Promise.resolve({value, done: true});
+        },
+        throw(err) {
+            buffer.length = 0;
+            finish();
+            return Promise.reject(err);
+        }
+    };
+}
+
+const taskChannelNames = {
+    start: 'callback-promise-utils:task:start',
+    end: 'callback-promise-utils:task:end',
+    error: 'callback-promise-utils:task:error'
+};
+const taskChannels = {
+    start: diagnosticsChannel.channel(taskChannelNames.start),
+    end: diagnosticsChannel.channel(taskChannelNames.end),
+    error: diagnosticsChannel.channel(taskChannelNames.error)
+};
+const instrumentationHooks = new Set();
+let runCount = 0;
+
+/**
+ * Register hooks called for the tasks of every runner
+ * @param {Object} hooks - Hooks, each called with a task event
+ * @param {Function} [hooks.onTaskStart] - Called when a task starts
+ * @param {Function} [hooks.onTaskEnd] - Called when a task fulfills
+ * @param {Function} [hooks.onTaskError] - Called when a task rejects
+ * @returns {Function} - Function removing the hooks
+ */
+function addInstrumentation(hooks) {
+    instrumentationHooks.add(hooks);
+    return () => instrumentationHooks.delete(hooks);
+}
+
+/**
+ * Set up instrumentation for one run. Task events are sent to the global hooks, the per-call hooks in the options
+ * and the diagnostics_channel channels. A task can carry `taskName` and `labels` properties; the run can carry
+ * `name` and `labels` options.
+ * @param {string} runner - Name of the runner
+ * @param {Object} options - Options of the run
+ * @returns {Function} - Function `(task, index, start, queuedAt)` calling `start` and reporting its outcome
+ */
+function instrumentRun(runner, options) {
+    const run = {runner, runId: ++runCount, name: options.name, labels: options.labels, startedAt: Date.now(), active: 0};
+    const emit = (hook, channel, event) => {
+        instrumentationHooks.forEach(hooks => {
+            if (typeof hooks[hook] === 'function') {
+                invokeCallback(hooks[hook], event);
+            }
+        });
+        if (typeof options[hook] === 'function') {
+            invokeCallback(options[hook], event);
+        }
+        if (channel.hasSubscribers) {
+            channel.publish(event);
+        }
+    };
+
+    return (task, index, start, queuedAt = run.startedAt) => {
+        const enabled = instrumentationHooks.size > 0 || options.onTaskStart || options.onTaskEnd || options.onTaskError ||
+            taskChannels.start.hasSubscribers || taskChannels.end.hasSubscribers || taskChannels.error.hasSubscribers;
+        if (!enabled) {
+            return new Promise(resolve => resolve(start()));
+        }
+
+        const startedAt = Date.now();
+        const event = {
+            runner,
+            runId: run.runId,
+            name: run.name,
+            taskName: task.taskName || task.name || undefined,
+            labels: task.labels || run.labels,
+            index,
+            queuedAt,
+            startedAt,
+            waitTime: startedAt - queuedAt,
+            active: ++run.active
+        };
+        emit('onTaskStart', taskChannels.start, event);
+
+        const finish = () => {
+            const endedAt = Date.now();
+            run.active--;
+            return Object.assign({}, event, {endedAt, duration: endedAt - startedAt, active: run.active});
+        };
+        return new Promise(resolve => resolve(start())).then(result => {
+            emit('onTaskEnd', taskChannels.end, Object.assign(finish(), {result}));
+            return result;
+        }, error => {
+            emit('onTaskError', taskChannels.error, Object.assign(finish(), {error}));
+            throw error;
+        });
+    };
+}
+
+const DEFAULT_HISTOGRAM_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * A histogram of durations in milliseconds
+ */
+class Histogram {
+    constructor(bounds) {
+        this.bounds = bounds;
+        this.reset();
+    }
+
+    reset() {
+        this.counts = new Array(this.bounds.length + 1).fill(0);
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    record(value) {
+        const bucket = this.bounds.findIndex(bound => value <= bound);
+        this.counts[bucket === -1 ? this.bounds.length : bucket]++;
+        this.count++;
+        this.sum += value;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    snapshot() {
+        return {
+            count: this.count,
+            sum: this.sum,
+            min: this.count > 0 ? this.min : 0,
+            max: this.count > 0 ? this.max : 0,
+            mean: this.count > 0 ? this.sum / this.count : 0,
+            buckets: this.counts.map((count, index) => ({le: index < this.bounds.length ? this.bounds[index] : Infinity, count}))
+        };
+    }
+}
+
+/**
+ * Create an in-memory metrics collector, usable as global hooks with addInstrumentation() or as per-call hooks
+ * @param {Object} [options] - Collector options
+ * @param {Array<number>} [options.buckets] - Upper bounds, in milliseconds, of the histogram buckets
+ * @returns {Object} - The collector: its hooks, `snapshot()` and `reset()`
+ */
+function createMetricsCollector({buckets = DEFAULT_HISTOGRAM_BUCKETS} = {}) {
+    const latency = new Histogram(buckets);
+    const waitTime = new Histogram(buckets);
+    const counts = {};
+
+    const reset = () => {
+        Object.assign(counts, {started: 0, succeeded: 0, failed: 0, active: 0, maxActive: 0});
+        latency.reset();
+        waitTime.reset();
+    };
+    const ended = event => {
+        counts.active--;
+        latency.record(event.duration);
+    };
+    reset();
+
+    return {
+        onTaskStart: event => {
+            counts.started++;
+            counts.active++;
+            counts.maxActive = Math.max(counts.maxActive, counts.active);
+            waitTime.record(event.waitTime);
+        },
+        onTaskEnd: event => {
+            counts.succeeded++;
+            ended(event);
+        },
+        onTaskError: event => {
+            counts.failed++;
+            ended(event);
+        },
+        snapshot: () => Object.assign({}, counts, {latency: latency.snapshot(), waitTime: waitTime.snapshot()}),
+        reset
+    };
+}
+
+/**
+ * Number of items in an array, Set or Map; undefined for other iterables
+ * @param {Iterable|AsyncIterable} items - The items
+ * @returns {number|undefined} - The number of items
+ */
+function sizeOf(items) {
+    if (Array.isArray(items)) {
+        return items.length;
+    }
+    return items instanceof Set || items instanceof Map ? items.size : undefined;
+}
+
+/**
+ * Tracks the progress of a run and reports it through the `onProgress` option
+ */
+class ProgressTracker {
+    constructor(total, onProgress) {
+        this.total = total;
+        this.onProgress = onProgress;
+        this.completed = 0;
+        this.failed = 0;
+        this.running = 0;
+        // Fraction reported by each running task
+        this.fractions = new Map();
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * @returns {Object} - Counts, percentage, throughput in tasks per second and ETA in milliseconds;
+     *     `pending`, `percent` and `eta` are undefined while the total is unknown
+     */
+    snapshot() {
+        const {total, completed, failed, running} = this;
+        const elapsed = Date.now() - this.startedAt;
+        const done = completed + failed;
+        let partial = 0;
+        this.fractions.forEach(fraction => {
+            partial += fraction;
+        });
+        const throughput = elapsed > 0 ? done / (elapsed / 1000) : 0;
+        const known = total !== undefined;
+        return {
+            completed,
+            failed,
+            running,
+            pending: known ? total - done - running : undefined,
+            total,
+            percent: known ? (total === 0 ? 100 : (done + partial) / total * 100) : undefined,
+            throughput,
+            elapsed,
+            eta: known && throughput > 0 ? Math.round((total - done - partial) / throughput * 1000) : undefined
+        };
+    }
+
+    report() {
+        const snapshot = this.snapshot();
+        if (typeof this.onProgress.emit === 'function') {
+            this.onProgress.emit('progress', snapshot);
+        } else {
+            invokeCallback(this.onProgress, snapshot);
+        }
+    }
+
+    /**
+     * Run a task, counting it as running until it settles
+     * @param {number} index - Index of the task
+     * @param {Function} start - Function receiving the task's `progress(fraction)` reporter and starting the task
+     * @returns {Promise} - Promise settling with the task's outcome
+     */
+    run(index, start) {
+        this.running++;
+        this.fractions.set(index, 0);
+        this.report();
+        const progress = fraction => {
+            if (this.fractions.has(index)) {
+                this.fractions.set(index, Math.min(Math.max(fraction, 0), 1));
+                this.report();
+            }
+        };
+        return new Promise(resolve => resolve(start(progress))).then(result => {
+            this.finish(index, 'completed');
+            return result;
+        }, err => {
+            this.finish(index, 'failed');
+            throw err;
+        });
+    }
+
+    finish(index, outcome) {
+        this.running--;
+        this.fractions.delete(index);
+        this[outcome]++;
+        this.report();
+    }
+}
+
+const untrackedProgress = {
+    run: (index, start) => start(() => {})
+};
+
+/**
+ * Create the progress tracker of a run
+ * @param {number} [total] - Number of tasks, if known
+ * @param {Function|EventEmitter} [onProgress] - Callback, or emitter receiving `progress` events
+ * @returns {ProgressTracker|Object} - Tracker; a no-op when there is nothing to report to
+ */
+function createProgress(total, onProgress) {
+    return onProgress ? new ProgressTracker(total, onProgress) : untrackedProgress;
+}
+
+/**
+ * Run tasks in series
+ * @param {Array<Function>} tasks - Array of functions returning promises
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops scheduling tasks; passed to each task as `{signal}`
+ * @param {Object} [options.retry] - Retry policy applied to each task, see retry()
+ * @param {number} [options.taskTimeout] - Milliseconds each task may take
+ * @param {number} [options.timeout] - Milliseconds the whole run may take
+ * @param {string} [options.name] - Name of the run, reported to instrumentation hooks
+ * @param {Object} [options.labels] - Labels of the run, reported to instrumentation hooks
+ * @param {Function} [options.onTaskStart] - Hook called when a task starts, see addInstrumentation()
+ * @param {Function} [options.onTaskEnd] - Hook called when a task fulfills
+ * @param {Function} [options.onTaskError] - Hook called when a task rejects
+ * @param {Function|EventEmitter} [options.onProgress] - Callback, or emitter receiving `progress` events, called with
+ * the completed, failed, running and pending counts, percent, throughput and ETA as tasks start, settle or report
+ * progress; tasks report their own progress by calling `progress(fraction)` from their context argument
+ * @param {boolean} [options.controllable] - Return a RunHandle whose `promise` is the run, see RunHandle
+ * @returns {Promise|RunHandle} - Promise resolving when all tasks are done
+ */
+function series(tasks, options = {}) {
+    if (options.controllable) {
+        return runControlled(options, runOptions => series(tasks, runOptions));
+    }
+    if (options.timeout) {
+        return withDeadline(options, runOptions => series(tasks, runOptions));
+    }
+
+    const {signal} = options;
+    const track = instrumentRun('series', options);
+    const progress = createProgress(tasks.length, options.onProgress);
+    const control = options[RUN_HANDLE] || uncontrolledRun;
+    const results = [];
+    control.inspect = () => ({results: results.slice()});
+    const run = tasks.reduce((promise, task, index) => {
+        return promise.then(() => {
+            throwIfAborted(signal);
+            return control.runStep(index, () => {
+                return track(task, index, () => progress.run(index, report => prepareTask(task, options)({signal, progress: report})));
+            }).then(result => results.push(result));
+        });
+    }, Promise.resolve()).then(() => results);
+    return raceSignal(run, signal);
+}
+
+/**
+ * Run tasks in parallel
+ * @param {Array<Function>} tasks - Array of functions returning promises
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that rejects the run; passed to each task as `{signal}`
+ * @param {Object} [options.retry] - Retry policy applied to each task, see retry()
+ * @param {number} [options.taskTimeout] - Milliseconds each task may take
+ * @param {number} [options.timeout] - Milliseconds the whole run may take
+ * @param {string} [options.name] - Name of the run, see series()
+ * @param {Object} [options.labels] - Labels of the run, see series()
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @returns {Promise} - Promise resolving when all tasks are done
+ */
+function parallel(tasks, options = {}) {
+    if (options.timeout) {
+        return withDeadline(options, runOptions => parallel(tasks, runOptions));
+    }
+
+    const {signal} = options;
+    try {
+        throwIfAborted(signal);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    const track = instrumentRun('parallel', options);
+    return raceSignal(Promise.all(tasks.map((task, index) => track(task, index, () => prepareTask(task, options)({signal})))), signal);
+}
+
+const TASK_STYLE = Symbol('taskStyle');
+
+/**
+ * Mark a task as callback-based, taking a node-style callback after its arguments
+ * @param {Function} task - The callback-based task
+ * @returns {Function} - The marked task
+ */
+function callbackTask(task) {
+    const marked = function (...args) {
+        return task.apply(this, args);
+    };
+    marked[TASK_STYLE] = 'callback';
+    return marked;
+}
+
+/**
+ * Mark a task as promise-based, returning a promise or a plain value
+ * @param {Function} task - The promise-based task
+ * @returns {Function} - The marked task
+ */
+function promiseTask(task) {
+    const marked = function (...args) {
+        return task.apply(this, args);
+    };
+    marked[TASK_STYLE] = 'promise';
+    return marked;
+}
+
+/**
+ * Call a callback- or promise-based task. Unmarked tasks are treated as callback-based when they declare
+ * more parameters than the arguments they are given, unless they are async functions. A callback-based
+ * task returning a promise that settles before it calls back is rejected rather than left hanging.
+ * @param {Function} task - The task
+ * @param {Array} args - Arguments of the call
+ * @param {AbortSignal} [signal] - Signal handed to callback-based tasks as `callback.signal`
+ * @returns {Promise<Array>} - Promise resolving with the values the task produced
+ */
+function invokeTask(task, args, signal) {
+    const isAsync = task.constructor && task.constructor.name === 'AsyncFunction';
+    const style = task[TASK_STYLE] || (task.length > args.length && !isAsync ? 'callback' : 'promise');
+    return new Promise((resolve, reject) => {
+        if (style === 'promise') {
+            return Promise.resolve(task(...args)).then(result => resolve([result]), reject);
+        }
+        let calledBack = false;
+        const callback = (err, ...results) => {
+            calledBack = true;
+            if (err) {
+                return reject(err);
+            }
+            resolve(results);
+        };
+        callback.signal = signal;
+        const returned = task(...args, callback);
+        if (returned && typeof returned.then === 'function') {
+            returned.then(() => {
+                if (!calledBack) {
+                    reject(new TypeError(`Task${task.name ? ` "${task.name}"` : ''} was called as callback-based but returned a promise without ` +
+                        'calling back; mark it with promiseTask()'));
+                }
+            }, reject);
+        }
+    });
+}
+
+/**
+ * Run tasks in waterfall, passing the values each task produces as arguments to the next.
+ * Tasks may be callback-based (values from a multi-value callback are spread) or promise-based,
+ * see callbackTask() and promiseTask() to mark them explicitly.
+ * Callback-based tasks find the signal of their step on `callback.signal`, which also aborts when the step
+ * times out. Promise-based tasks receive only the previous values: an extra argument would shift them.
+ * @param {Array<Function>} tasks - Array of callback- or promise-based functions
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops scheduling tasks
+ * @param {number} [options.taskTimeout] - Milliseconds each task may take
+ * @param {number} [options.timeout] - Milliseconds the whole run may take
+ * @param {string} [options.name] - Name of the run, see series()
+ * @param {Object} [options.labels] - Labels of the run, see series()
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @returns {Promise} - Promise resolving with the result of the last task
+ */
+function waterfall(tasks, options = {}) {
+    if (options.timeout) {
+        return withDeadline(options, runOptions => waterfall(tasks, runOptions));
+    }
+
+    const {signal, taskTimeout} = options;
+    const track = instrumentRun('waterfall', options);
+    const run = tasks.reduce((promise, task, index) => {
+        return promise.then(values => {
+            throwIfAborted(signal);
+            return track(task, index, () => {
+                const step = ({signal: stepSignal}) => invokeTask(task, values, stepSignal);
+                return taskTimeout ? timeout(step, taskTimeout, {signal}) : step({signal});
+            });
+        });
+    }, Promise.resolve([])).then(values => (values.length > 1 ? values : values[0]));
+    return raceSignal(run, signal);
+}
+
+/**
+ * Check a task graph for malformed tasks, unknown dependencies and cycles
+ * @param {Object} tasks - Task definitions, see auto()
+ * @returns {Object} - The graph: dependencies and function of each task, by name
+ */
+function buildTaskGraph(tasks) {
+    const graph = {};
+    Object.keys(tasks).forEach(name => {
+        const definition = tasks[name];
+        const fn = Array.isArray(definition) ? definition[definition.length - 1] : definition;
+        if (typeof fn !== 'function') {
+            throw new TypeError(`Task "${name}" must be a function or an array of dependencies ending with a function`);
+        }
+        graph[name] = {deps: Array.isArray(definition) ? definition.slice(0, -1) : [], fn, dependents: []};
+    });
+
+    Object.keys(graph).forEach(name => {
+        graph[name].deps.forEach(dep => {
+            if (!graph[dep]) {
+                throw new Error(`Task "${name}" depends on unknown task "${dep}"`);
+            }
+            graph[dep].dependents.push(name);
+        });
+    });
+
+    // Kahn's algorithm: whatever cannot be sorted topologically is part of a cycle
+    const pending = {};
+    Object.keys(graph).forEach(name => {
+        pending[name] = graph[name].deps.length;
+    });
+    const sorted = Object.keys(graph).filter(name => pending[name] === 0);
+    for (let i = 0; i < sorted.length; i++) {
+        graph[sorted[i]].dependents.forEach(dependent => {
+            if (--pending[dependent] === 0) {
+                sorted.push(dependent);
+            }
+        });
+    }
+    if (sorted.length < Object.keys(graph).length) {
+        const cyclic = Object.keys(graph).filter(name => pending[name] > 0);
+        throw new Error(`Dependency cycle between tasks: ${cyclic.join(', ')}`);
+    }
+    return graph;
+}
+
+/**
+ * Run tasks as soon as the tasks they depend on are done.
+ * Each task is either a function or an array of dependency names ending with a function. A task without
+ * dependencies is called with no arguments; others receive an object with the results of their dependencies.
+ * Tasks may be callback-based or promise-based, see waterfall().
+ * @param {Object} tasks - Task definitions, by name
+ * @param {Object} [options] - Run options
+ * @param {number} [options.concurrency] - Number of tasks to run in parallel
+ * @param {AbortSignal} [options.signal] - Signal that stops scheduling tasks
+ * @param {string} [options.name] - Name of the run, see series()
+ * @param {Object} [options.labels] - Labels of the run, see series()
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @returns {Promise<Object>} - Promise resolving with the result of every task, by name. On failure, it rejects
+ * once running tasks have settled, with an Error carrying the failed `task`, the `cause`, the `results`, and the
+ * `completed`, `failed` and `skipped` task names
+ */
+function auto(tasks, options = {}) {
+    const {concurrency = Infinity, signal} = options;
+    let graph;
+    try {
+        throwIfAborted(signal);
+        graph = buildTaskGraph(tasks);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const names = Object.keys(graph);
+    const track = instrumentRun('auto', options);
+    const results = {};
+    const completed = [];
+    const failed = [];
+    const pending = {};
+    names.forEach(name => {
+        pending[name] = graph[name].deps.length;
+    });
+    const ready = names.filter(name => pending[name] === 0);
+    let running = 0;
+    let failure = null;
+
+    return raceSignal(new Promise((resolve, reject) => {
+        const fail = () => {
+            const error = new Error(`Task "${failure.name}" failed: ${failure.error && failure.error.message}`, {cause: failure.error});
+            error.task = failure.name;
+            error.results = results;
+            error.completed = completed;
+            error.failed = failed;
+            error.skipped = names.filter(name => !completed.includes(name) && !failed.includes(name));
+            reject(error);
+        };
+
+        const start = name => {
+            const {deps, fn} = graph[name];
+            const args = deps.length > 0 ? [deps.reduce((depResults, dep) => Object.assign(depResults, {[dep]: results[dep]}), {})] : [];
+            running++;
+            track({taskName: name, labels: fn.labels}, names.indexOf(name), () => invokeTask(fn, args)).then(values => {
+                results[name] = values.length > 1 ? values : values[0];
+                completed.push(name);
+                graph[name].dependents.forEach(dependent => {
+                    if (--pending[dependent] === 0) {
+                        ready.push(dependent);
+                    }
+                });
+            }, error => {
+                failed.push(name);
+                failure = failure || {name, error};
+            }).then(() => {
+                running--;
+                next();
+            });
+        };
+
+        const next = () => {
+            if (failure || (signal && signal.aborted)) {
+                if (failure && running === 0) {
+                    fail();
+                }
+                return;
+            }
+            if (completed.length === names.length) {
+                return resolve(results);
+            }
+            while (running < concurrency && ready.length > 0) {
+                start(ready.shift());
+            }
+        };
+
+        next();
+    }), signal);
+}
+
+/**
+ * A priority queue for managing tasks efficiently.
+ * Backed by a binary heap; tasks with equal priority are dequeued in insertion order.
+ * With `aging`, a waiting task gains one priority level every `aging` milliseconds so
+ * low-priority work cannot starve.
+ */
+class PriorityQueue {
+    constructor({aging = 0} = {}) {
+        this.aging = aging;
+        this.heap = [];
+        this.sequence = 0;
+        this.createdAt = Date.now();
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    enqueue(task, priority = 0) {
+        // Every waiting task ages at the same rate, so the aged priority can be fixed at insertion time
+        const rank = this.aging > 0 ? priority - (Date.now() - this.createdAt) / this.aging : priority;
+        this.heap.push({task, priority, rank, sequence: this.sequence++});
+        this.siftUp(this.heap.length - 1);
+    }
+
+    dequeue() {
+        return this.dequeueEntry().task;
+    }
+
+    dequeueEntry() {
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    peek() {
+        return this.isEmpty() ? undefined : this.heap[0].task;
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    clear() {
+        const entries = this.heap;
+        this.heap = [];
+        return entries;
+    }
+
+    before(a, b) {
+        return a.rank !== b.rank ? a.rank > b.rank : a.sequence < b.sequence;
+    }
+
+    siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(heap[index], heap[parent])) {
+                break;
+            }
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const heap = this.heap;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let first = index;
+            if (left < heap.length && this.before(heap[left], heap[first])) {
+                first = left;
+            }
+            if (right < heap.length && this.before(heap[right], heap[first])) {
+                first = right;
+            }
+            if (first === index) {
+                break;
+            }
+            [heap[index], heap[first]] = [heap[first], heap[index]];
+            index = first;
+        }
+    }
+}
+
+/**
+ * A long-lived work queue with priorities and a runtime-adjustable concurrency limit.
+ *
+ * Events:
+ * - `saturated`: the number of running tasks reached the concurrency limit
+ * - `drain`: the last waiting task has started
+ * - `idle`: no task is waiting or running
+ * - `error`: a task rejected, emitted with the error and the task (only when listened to)
+ */
+class WorkQueue extends EventEmitter {
+    constructor(options = {}) {
+        const {concurrency = 1, aging = 0, autoStart = true, signal} = options;
+        super();
+        this.tasks = new PriorityQueue({aging});
+        this.limit = concurrency;
+        this.running = 0;
+        this.paused = !autoStart;
+        this.signal = signal;
+        this.track = instrumentRun('workQueue', options);
+        this.pushed = 0;
+        this.unlink = () => {};
+
+        if (signal) {
+            const onAbort = () => this.clear(toAbortError(signal));
+            signal.addEventListener('abort', onAbort, {once: true});
+            this.unlink = () => signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    get concurrency() {
+        return this.limit;
+    }
+
+    set concurrency(value) {
+        this.limit = value;
+        this.next();
+    }
+
+    get size() {
+        return this.tasks.size;
+    }
+
+    get isPaused() {
+        return this.paused;
+    }
+
+    get isIdle() {
+        return this.running === 0 && this.tasks.isEmpty();
+    }
+
+    /**
+     * Add a task to the queue
+     * @param {Function} task - Function returning a promise, called with `{signal}`
+     * @param {number} [priority] - Higher priorities run first
+     * @returns {Promise} - Promise settling with the task's outcome
+     */
+    push(task, priority = 0) {
+        const promise = new Promise((resolve, reject) => {
+            throwIfAborted(this.signal);
+            this.tasks.enqueue({task, resolve, reject, index: this.pushed++, queuedAt: Date.now()}, priority);
+        });
+        // Failures are reported through the returned promise and the `error` event, never as unhandled rejections
+        promise.catch(() => {});
+        this.next();
+        return promise;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * Remove every waiting task, rejecting their promises
+     * @param {Error} [reason] - Error to reject waiting tasks with
+     */
+    clear(reason = new AbortError('Queue cleared')) {
+        this.tasks.clear().forEach(({task}) => task.reject(reason));
+        this.settle();
+    }
+
+    /**
+     * Stop following the queue's signal; call once the queue is no longer used so the signal does not keep it alive
+     */
+    dispose() {
+        this.unlink();
+    }
+
+    /**
+     * @returns {Promise} - Promise resolving once no task is waiting or running
+     */
+    onIdle() {
+        return this.isIdle ? Promise.resolve() : new Promise(resolve => this.once('idle', resolve));
+    }
+
+    /**
+     * @returns {Promise} - Promise resolving once no task is waiting
+     */
+    onDrain() {
+        return this.tasks.isEmpty() ? Promise.resolve() : new Promise(resolve => this.once('drain', resolve));
+    }
+
+    next() {
+        while (!this.paused && this.running < this.limit && !this.tasks.isEmpty()) {
+            this.run(this.tasks.dequeue());
+            if (this.tasks.isEmpty()) {
+                this.emit('drain');
+            }
+            if (this.running === this.limit) {
+                this.emit('saturated');
+            }
+        }
+    }
+
+    run({task, resolve, reject, index, queuedAt}) {
+        this.running++;
+        this.track(task, index, () => task({signal: this.signal}), queuedAt).then(resolve, err => {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err, task);
+            }
+            reject(err);
+        }).then(() => {
+            this.running--;
+            this.next();
+            this.settle();
+        });
+    }
+
+    settle() {
+        if (this.isIdle) {
+            this.emit('idle');
+        }
+    }
+}
+
+/**
+ * Create a long-lived work queue
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.concurrency] - Number of tasks to run in parallel, adjustable later
+ * @param {number} [options.aging] - Milliseconds after which a waiting task gains one priority level
+ * @param {boolean} [options.autoStart] - Start running tasks as soon as they are pushed
+ * @param {AbortSignal} [options.signal] - Signal that clears the queue, until `dispose()` is called; passed to each
+ * task as `{signal}`
+ * @param {string} [options.name] - Name of the queue, reported to instrumentation hooks
+ * @param {Object} [options.labels] - Labels of the queue, reported to instrumentation hooks
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @returns {WorkQueue} - The work queue
+ */
+function createQueue(options) {
+    return new WorkQueue(options);
+}
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2147483647;
+
+function describeJob({id, name, payload, priority, attempts, createdAt}) {
+    return {id, name, payload, priority, attempts, createdAt};
+}
+
+function serializeError(err) {
+    return err instanceof Error ? {name: err.name, message: err.message, stack: err.stack} : {message: String(err)};
+}
+
+/**
+ * Read a file of JSON records, one per line
+ * @param {string} path - Path of the file
+ * @returns {Promise<Array<Object>>} - The records; empty when the file does not exist
+ */
+function readRecords(path) {
+    return fs.promises.readFile(path, 'utf8').catch(err => {
+        if (err.code === 'ENOENT') {
+            return '';
+        }
+        throw err;
+    }).then(contents => contents.split('\n').reduce((records, line) => {
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            // Empty lines, or a record left half-written by a crash
+        }
+        return records;
+    }, []));
+}
+
+/**
+ * A job queue persisted to an append-only log file, so pending jobs survive restarts.
+ * Jobs are data, a name and a JSON payload, run by the handler registered for their name.
+ */
+class DurableQueue extends EventEmitter {
+    constructor(options = {}) {
+        const {
+            path,
+            deadLetterPath,
+            concurrency = 1,
+            aging = 0,
+            maxAttempts = 3,
+            backoff = 'exponential',
+            minDelay = 1000,
+            maxDelay = Infinity,
+            factor = 2,
+            fsync = false
+        } = options;
+        if (!path) {
+            throw new TypeError('path is required');
+        }
+        const strategy = typeof backoff === 'function' ? backoff : BACKOFF_STRATEGIES[backoff];
+        if (!strategy) {
+            throw new TypeError(`Unknown backoff "${backoff}", expected one of ${Object.keys(BACKOFF_STRATEGIES).join(', ')}`);
+        }
+        super();
+        this.path = path;
+        this.deadLetterPath = deadLetterPath || `${path}.dead`;
+        this.limit = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.backoff = {strategy, minDelay, maxDelay, factor};
+        this.fsync = fsync;
+        // Every stored job not yet acknowledged or dead-lettered, by id
+        this.jobs = new Map();
+        this.ready = new PriorityQueue({aging});
+        // Jobs waiting for their run time, earliest first
+        this.delayed = new PriorityQueue();
+        // Ready jobs whose name has no handler yet, by name
+        this.unhandled = new Map();
+        this.handlers = new Map();
+        this.running = 0;
+        this.active = new Set();
+        this.file = null;
+        this.writes = Promise.resolve();
+        this.timer = null;
+        this.starting = null;
+        this.started = false;
+        this.closing = false;
+        this.track = instrumentRun('durableQueue', options);
+        this.dispatched = 0;
+    }
+
+    get concurrency() {
+        return this.limit;
+    }
+
+    set concurrency(value) {
+        this.limit = value;
+        this.dispatch();
+    }
+
+    get size() {
+        return this.jobs.size;
+    }
+
+    get isIdle() {
+        return this.running === 0 && this.ready.isEmpty();
+    }
+
+    /**
+     * Register the handler of a job name
+     * @param {string} name - Job name
+     * @param {Function} handler - Function `(payload, {job})` returning a promise; resolving acknowledges the job
+     * @returns {DurableQueue} - The queue
+     */
+    register(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('handler must be a function');
+        }
+        this.handlers.set(name, handler);
+        const waiting = this.unhandled.get(name) || [];
+        this.unhandled.delete(name);
+        waiting.forEach(job => this.schedule(job));
+        this.dispatch();
+        return this;
+    }
+
+    /**
+     * Recover the stored jobs and start processing them. Jobs that were running when the process
+     * stopped count as a failed attempt and run again.
+     * @returns {Promise} - Promise resolving once the queue is ready
+     */
+    start() {
+        if (!this.starting) {
+            this.starting = this.recover().then(() => {
+                this.started = true;
+                this.jobs.forEach(job => this.schedule(job));
+                this.dispatch();
+            });
+        }
+        return this.starting;
+    }
+
+    /**
+     * Store a job
+     * @param {string} name - Job name
+     * @param {*} payload - JSON-serializable payload passed to the handler
+     * @param {Object} [options] - Job options
+     * @param {number} [options.priority] - Higher priorities run first
+     * @param {number} [options.delay] - Milliseconds to wait before running the job
+     * @param {Date|number} [options.runAt] - Time to run the job at
+     * @returns {Promise<string>} - Promise resolving with the job id once the job is stored
+     */
+    add(name, payload, {priority = 0, delay = 0, runAt} = {}) {
+        if (!this.starting || this.closing) {
+            return Promise.reject(new Error(this.closing ? 'Queue is closed' : 'Call start() before adding jobs'));
+        }
+        return this.starting.then(() => {
+            const now = Date.now();
+            const job = {
+                id: randomUUID(),
+                name,
+                payload,
+                priority,
+                runAt: runAt === undefined ? now + delay : Number(runAt),
+                attempts: 0,
+                createdAt: now
+            };
+            return this.append(Object.assign({op: 'add'}, describeJob(job), {runAt: job.runAt})).then(() => {
+                this.jobs.set(job.id, job);
+                this.schedule(job);
+                this.dispatch();
+                return job.id;
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} - Promise resolving with the jobs that failed every attempt,
+     *     with their last `error` and `failedAt` time
+     */
+    deadLetters() {
+        return readRecords(this.deadLetterPath);
+    }
+
+    /**
+     * @returns {Promise} - Promise resolving once no job is ready or running
+     */
+    onIdle() {
+        return this.isIdle ? Promise.resolve() : new Promise(resolve => this.once('idle', resolve));
+    }
+
+    /**
+     * Stop starting jobs, wait for the running ones to settle and close the log file
+     * @returns {Promise} - Promise resolving once the queue is closed
+     */
+    close() {
+        this.closing = true;
+        clearTimeout(this.timer);
+        return Promise.all(this.active).then(() => this.writes).then(() => {
+            const file = this.file;
+            this.file = null;
+            return file ? file.close() : undefined;
+        });
+    }
+
+    recover() {
+        return readRecords(this.path).then(records => {
+            records.forEach(record => this.replay(record));
+            const exhausted = [];
+            this.jobs.forEach(job => {
+                if (!job.inFlight) {
+                    return;
+                }
+                job.inFlight = false;
+                if (job.attempts >= this.maxAttempts) {
+                    exhausted.push(job);
+                    this.jobs.delete(job.id);
+                }
+            });
+            // Dead letters are written before compaction drops the jobs from the log
+            return exhausted.reduce((promise, job) => promise.then(() => {
+                return this.writeDeadLetter(job, new Error('Job was running when the queue stopped'));
+            }), Promise.resolve());
+        }).then(() => this.compact());
+    }
+
+    replay(record) {
+        const job = this.jobs.get(record.id);
+        if (record.op === 'add') {
+            this.jobs.set(record.id, Object.assign(describeJob(record), {runAt: record.runAt, lastDelay: record.delay, inFlight: false}));
+        } else if (!job) {
+            return;
+        } else if (record.op === 'start') {
+            job.attempts = record.attempts;
+            job.inFlight = true;
+        } else if (record.op === 'retry') {
+            job.inFlight = false;
+            job.runAt = record.runAt;
+            job.lastDelay = record.delay;
+        } else if (record.op === 'ack' || record.op === 'dead') {
+            this.jobs.delete(record.id);
+        }
+    }
+
+    /**
+     * Rewrite the log with only the stored jobs, then open it for appending
+     * @returns {Promise} - Promise resolving once the log is open
+     */
+    compact() {
+        const tmpPath = `${this.path}.tmp`;
+        const contents = Array.from(this.jobs.values(), job => {
+            return `${JSON.stringify(Object.assign({op: 'add'}, describeJob(job), {runAt: job.runAt, delay: job.lastDelay}))}\n`;
+        }).join('');
+        return fs.promises.writeFile(tmpPath, contents)
+            .then(() => fs.promises.rename(tmpPath, this.path))
+            .then(() => fs.promises.open(this.path, 'a'))
+            .then(file => {
+                this.file = file;
+            });
+    }
+
+    append(record) {
+        const write = this.writes.then(() => this.file.appendFile(`${JSON.stringify(record)}\n`)).then(() => {
+            return this.fsync ? this.file.datasync() : undefined;
+        });
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    schedule(job) {
+        if (job.runAt > Date.now()) {
+            this.delayed.enqueue(job, -job.runAt);
+            this.armTimer();
+        } else if (!this.handlers.has(job.name)) {
+            const waiting = this.unhandled.get(job.name) || [];
+            waiting.push(job);
+            this.unhandled.set(job.name, waiting);
+        } else {
+            this.ready.enqueue(job, job.priority);
+        }
+    }
+
+    armTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.delayed.isEmpty() && !this.closing) {
+            const wait = Math.min(Math.max(0, this.delayed.peek().runAt - Date.now()), MAX_TIMER_DELAY);
+            this.timer = setTimeout(() => this.promoteDue(), wait);
+        }
+    }
+
+    promoteDue() {
+        while (!this.delayed.isEmpty() && this.delayed.peek().runAt <= Date.now()) {
+            this.schedule(this.delayed.dequeue());
+        }
+        this.armTimer();
+        this.dispatch();
+    }
+
+    dispatch() {
+        while (this.started && !this.closing && this.running < this.limit && !this.ready.isEmpty()) {
+            this.run(this.ready.dequeue());
+        }
+    }
+
+    run(job) {
+        this.running++;
+        job.attempts++;
+        const handler = this.handlers.get(job.name);
+        const run = this.append({op: 'start', id: job.id, attempts: job.attempts}).then(() => {
+            return this.track(job, this.dispatched++, () => handler(job.payload, {job: describeJob(job)}), job.runAt);
+        }).then(result => {
+            return this.append({op: 'ack', id: job.id}).then(() => {
+                this.jobs.delete(job.id);
+                this.emit('completed', describeJob(job), result);
+            });
+        }, err => this.fail(job, err)).catch(err => {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        }).then(() => {
+            this.active.delete(run);
+            this.running--;
+            this.dispatch();
+            if (this.isIdle) {
+                this.emit('idle');
+            }
+        });
+        this.active.add(run);
+    }
+
+    fail(job, err) {
+        this.emit('failed', describeJob(job), err);
+        if (job.attempts >= this.maxAttempts) {
+            return this.writeDeadLetter(job, err).then(() => this.append({op: 'dead', id: job.id})).then(() => {
+                this.jobs.delete(job.id);
+                this.emit('dead', describeJob(job), err);
+            });
+        }
+        const {strategy, minDelay, maxDelay, factor} = this.backoff;
+        const delay = Math.min(maxDelay, strategy(job.attempts, job.lastDelay || minDelay, {minDelay, factor}));
+        job.lastDelay = delay;
+        job.runAt = Date.now() + delay;
+        const record = {op: 'retry', id: job.id, runAt: job.runAt, delay, error: serializeError(err).message};
+        // Retried even if the record is lost; the log then shows it running and recovery runs it again
+        return this.append(record).finally(() => this.schedule(job));
+    }
+
+    writeDeadLetter(job, err) {
+        const letter = Object.assign(describeJob(job), {error: serializeError(err), failedAt: Date.now()});
+        return fs.promises.appendFile(this.deadLetterPath, `${JSON.stringify(letter)}\n`);
+    }
+}
+
+/**
+ * Create a durable job queue stored in a local append-only file. Delivery is at-least-once:
+ * a job interrupted by a crash runs again, so handlers should be idempotent.
+ * @param {Object} options - Queue options
+ * @param {string} options.path - Path of the log file
+ * @param {string} [options.deadLetterPath] - Path of the dead-letter file, defaults to `<path>.dead`
+ * @param {number} [options.concurrency] - Number of jobs to run in parallel, adjustable later
+ * @param {number} [options.aging] - Milliseconds after which a ready job gains one priority level
+ * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered
+ * @param {string|Function} [options.backoff] - Delay between attempts, see retry()
+ * @param {number} [options.minDelay] - Milliseconds before the first retry
+ * @param {number} [options.maxDelay] - Upper bound of the delay between attempts
+ * @param {number} [options.factor] - Growth factor of exponential backoff
+ * @param {boolean} [options.fsync] - Flush each record to disk before moving on
+ * @param {string} [options.name] - Name of the queue, reported to instrumentation hooks
+ * @param {Object} [options.labels] - Labels of the queue, reported to instrumentation hooks
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @returns {DurableQueue} - The queue; call `start()` before adding jobs
+ */
+function createDurableQueue(options) {
+    return new DurableQueue(options);
+}
+
+/**
+ * Waiters of a synchronization primitive, served by priority then in arrival order.
+ * Waiters that time out or are cancelled are skipped when their turn comes.
+ */
+class WaitList {
+    constructor(onCancel) {
+        this.queue = new PriorityQueue();
+        this.size = 0;
+        this.onCancel = onCancel;
+    }
+
+    /**
+     * Wait for a turn
+     * @param {Object} [options] - Wait options
+     * @param {number} [options.priority] - Higher priorities are served first
+     * @param {number} [options.timeout] - Milliseconds before rejecting with a TimeoutError
+     * @param {AbortSignal} [options.signal] - Signal that stops waiting
+     * @param {string} message - Message of the TimeoutError
+     * @returns {Promise} - Promise resolving when the waiter is served
+     */
+    add({priority = 0, timeout: ms, signal} = {}, message) {
+        return new Promise((resolve, reject) => {
+            throwIfAborted(signal);
+            const waiter = {active: true};
+            const cleanup = () => {
+                waiter.active = false;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            const cancel = err => {
+                if (!waiter.active) {
+                    return;
+                }
+                cleanup();
+                this.size--;
+                reject(err);
+                if (this.onCancel) {
+                    this.onCancel();
+                }
+            };
+            const onAbort = () => cancel(toAbortError(signal));
+            const timer = ms === undefined ? null : setTimeout(() => cancel(new TimeoutError(`${message} after ${ms}ms`)), ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, {once: true});
+            }
+
+            waiter.resolve = value => {
+                cleanup();
+                resolve(value);
+            };
+            this.queue.enqueue(waiter, priority);
+            this.size++;
+        });
+    }
+
+    /**
+     * @returns {Object|null} - The next waiter still waiting, removed from the list
+     */
+    shift() {
+        while (!this.queue.isEmpty()) {
+            const waiter = this.queue.dequeue();
+            if (waiter.active) {
+                this.size--;
+                waiter.active = false;
+                return waiter;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Create an idempotent release function
+ * @param {Function} release - Function releasing the resource
+ * @returns {Function} - Function calling `release` the first time only
+ */
+function releaseOnce(release) {
+    let released = false;
+    return () => {
+        if (!released) {
+            released = true;
+            release();
+        }
+    };
+}
+
+/**
+ * A counting semaphore. Waiters are served by priority, then in arrival order.
+ */
+class Semaphore {
+    constructor(permits = 1) {
+        this.permits = permits;
+        this.waiters = new WaitList();
+    }
+
+    get available() {
+        return this.permits;
+    }
+
+    get pending() {
+        return this.waiters.size;
+    }
+
+    /**
+     * Take a permit if one is free right away
+     * @returns {Function|null} - Function releasing the permit, or null
+     */
+    tryAcquire() {
+        if (this.permits > 0 && this.waiters.size === 0) {
+            this.permits--;
+            return releaseOnce(() => this.dispatch());
+        }
+        return null;
+    }
+
+    /**
+     * Wait for a permit
+     * @param {Object} [options] - Wait options
+     * @param {number} [options.priority] - Higher priorities are served first
+     * @param {number} [options.timeout] - Milliseconds before rejecting with a TimeoutError
+     * @param {AbortSignal} [options.signal] - Signal that stops waiting
+     * @returns {Promise<Function>} - Promise resolving with a function releasing the permit
+     */
+    acquire(options) {
+        const release = this.tryAcquire();
+        if (release) {
+            return Promise.resolve(release);
+        }
+        return this.waiters.add(options, 'Timed out waiting for a permit').then(() => releaseOnce(() => this.dispatch()));
+    }
+
+    /**
+     * Run a function while holding a permit
+     * @param {Function} fn - Function returning a promise or value
+     * @param {Object} [options] - Wait options, see acquire()
+     * @returns {Promise} - Promise settling with the function's outcome
+     */
+    runExclusive(fn, options) {
+        return this.acquire(options).then(release => {
+            return new Promise(resolve => resolve(fn())).finally(release);
+        });
+    }
+
+    dispatch() {
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            // The permit passes straight to the next waiter
+            waiter.resolve();
+        } else {
+            this.permits++;
+        }
+    }
+}
+
+/**
+ * A mutual exclusion lock
+ */
+class Mutex extends Semaphore {
+    constructor() {
+        super(1);
+    }
+
+    get isLocked() {
+        return this.permits === 0;
+    }
+}
+
+/**
+ * A lock allowing many readers or one writer. Waiting writers take precedence over new readers.
+ */
+class ReadWriteLock {
+    constructor() {
+        this.readers = 0;
+        this.writer = false;
+        this.readWaiters = new WaitList();
+        this.writeWaiters = new WaitList(() => this.dispatch());
+    }
+
+    /**
+     * Wait for read access
+     * @param {Object} [options] - Wait options, see Semaphore#acquire()
+     * @returns {Promise<Function>} - Promise resolving with a function releasing read access
+     */
+    acquireRead(options) {
+        if (!this.writer && this.writeWaiters.size === 0) {
+            this.readers++;
+            return Promise.resolve(this.releaseRead());
+        }
+        return this.readWaiters.add(options, 'Timed out waiting for read access').then(() => this.releaseRead());
+    }
+
+    /**
+     * Wait for write access
+     * @param {Object} [options] - Wait options, see Semaphore#acquire()
+     * @returns {Promise<Function>} - Promise resolving with a function releasing write access
+     */
+    acquireWrite(options) {
+        if (!this.writer && this.readers === 0 && this.writeWaiters.size === 0) {
+            this.writer = true;
+            return Promise.resolve(this.releaseWrite());
+        }
+        return this.writeWaiters.add(options, 'Timed out waiting for write access').then(() => this.releaseWrite());
+    }
+
+    runRead(fn, options) {
+        return this.acquireRead(options).then(release => new Promise(resolve => resolve(fn())).finally(release));
+    }
+
+    runWrite(fn, options) {
+        return this.acquireWrite(options).then(release => new Promise(resolve => resolve(fn())).finally(release));
+    }
+
+    releaseRead() {
+        return releaseOnce(() => {
+            this.readers--;
+            this.dispatch();
+        });
+    }
+
+    releaseWrite() {
+        return releaseOnce(() => {
+            this.writer = false;
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        if (this.writer) {
+            return;
+        }
+        if (this.readers === 0) {
+            const writer = this.writeWaiters.shift();
+            if (writer) {
+                this.writer = true;
+                return writer.resolve();
+            }
+        }
+        if (this.writeWaiters.size === 0) {
+            for (let reader = this.readWaiters.shift(); reader; reader = this.readWaiters.shift()) {
+                this.readers++;
+                reader.resolve();
+            }
+        }
+    }
+}
+
+/**
+ * A reusable barrier releasing its waiters once `parties` of them are waiting
+ */
+class Barrier {
+    constructor(parties) {
+        this.parties = parties;
+        this.waiters = new WaitList();
+    }
+
+    get waiting() {
+        return this.waiters.size;
+    }
+
+    /**
+     * Wait for the other parties
+     * @param {Object} [options] - Wait options, see Semaphore#acquire()
+     * @returns {Promise} - Promise resolving once every party is waiting
+     */
+    wait(options) {
+        if (this.waiters.size + 1 < this.parties) {
+            return this.waiters.add(options, 'Timed out waiting at the barrier');
+        }
+        for (let waiter = this.waiters.shift(); waiter; waiter = this.waiters.shift()) {
+            waiter.resolve();
+        }
+        return Promise.resolve();
+    }
+}
+
+/**
+ * A one-shot latch releasing its waiters once counted down to zero
+ */
+class Latch {
+    constructor(count = 1) {
+        this.remaining = count;
+        this.waiters = new WaitList();
+    }
+
+    get count() {
+        return this.remaining;
+    }
+
+    countDown(by = 1) {
+        if (this.remaining === 0) {
+            return;
+        }
+        this.remaining = Math.max(0, this.remaining - by);
+        if (this.remaining === 0) {
+            for (let waiter = this.waiters.shift(); waiter; waiter = this.waiters.shift()) {
+                waiter.resolve();
+            }
+        }
+    }
+
+    /**
+     * Wait for the latch to open
+     * @param {Object} [options] - Wait options, see Semaphore#acquire()
+     * @returns {Promise} - Promise resolving once the count reaches zero
+     */
+    wait(options) {
+        if (this.remaining === 0) {
+            return Promise.resolve();
+        }
+        return this.waiters.add(options, 'Timed out waiting for the latch');
+    }
+}
+
+const RATE_LIMIT_STRATEGIES = ['token-bucket', 'sliding-window'];
+
+/**
+ * Limits how often work may start. Waiters are served in FIFO order.
+ *
+ * - `token-bucket`: holds up to `burst` permits and refills `limit` permits every `interval`
+ * - `sliding-window`: allows at most `limit` permits within any `interval`
+ */
+class RateLimiter {
+    constructor({strategy = 'token-bucket', limit, interval = 1000, burst = limit} = {}) {
+        if (!RATE_LIMIT_STRATEGIES.includes(strategy)) {
+            throw new TypeError(`Unknown strategy "${strategy}", expected one of ${RATE_LIMIT_STRATEGIES.join(', ')}`);
+        }
+        if (!(limit > 0)) {
+            throw new TypeError('limit must be a positive number');
+        }
+        this.strategy = strategy;
+        this.limit = limit;
+        this.interval = interval;
+        this.burst = burst;
+        this.tokens = burst;
+        this.refilledAt = Date.now();
+        this.timestamps = [];
+        this.waiters = [];
+        this.timer = null;
+    }
+
+    get pending() {
+        return this.waiters.length;
+    }
+
+    /**
+     * @returns {number} - Milliseconds until the next permit is available
+     */
+    wait() {
+        const now = Date.now();
+        if (this.strategy === 'token-bucket') {
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.limit / this.interval);
+            this.refilledAt = now;
+            return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.interval / this.limit);
+        }
+
+        while (this.timestamps.length > 0 && this.timestamps[0] <= now - this.interval) {
+            this.timestamps.shift();
+        }
+        return this.timestamps.length < this.limit ? 0 : this.timestamps[0] + this.interval - now;
+    }
+
+    take() {
+        if (this.strategy === 'token-bucket') {
+            this.tokens -= 1;
+        } else {
+            this.timestamps.push(Date.now());
+        }
+    }
+
+    /**
+     * Take a permit if one is available right away
+     * @returns {boolean} - Whether a permit was taken
+     */
+    tryAcquire() {
+        if (this.waiters.length > 0 || this.wait() > 0) {
+            return false;
+        }
+        this.take();
+        return true;
+    }
+
+    /**
+     * Wait for a permit
+     * @param {AbortSignal} [signal] - Signal that stops waiting
+     * @returns {Promise} - Promise resolving once a permit was taken
+     */
+    acquire(signal) {
+        return new Promise((resolve, reject) => {
+            throwIfAborted(signal);
+            const waiter = {resolve, reject, signal};
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    if (this.waiters.length === 0) {
+                        clearTimeout(this.timer);
+                    }
+                    reject(toAbortError(signal));
+                };
+                signal.addEventListener('abort', waiter.onAbort, {once: true});
+            }
+            this.waiters.push(waiter);
+            this.drain();
+        });
+    }
+
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        while (this.waiters.length > 0) {
+            const wait = this.wait();
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.drain(), wait);
+                return;
+            }
+            this.take();
+            const waiter = this.waiters.shift();
+            if (waiter.signal) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            waiter.resolve();
+        }
+    }
+
+    /**
+     * Wrap a promise-based function so each call waits for a permit
+     * @param {Function} promiseFunc - The promise-based function
+     * @returns {Function} - The rate-limited function
+     */
+    wrap(promiseFunc) {
+        const limiter = this;
+        return function (...args) {
+            return limiter.acquire().then(() => promiseFunc.apply(this, args));
+        };
+    }
+}
+
+/**
+ * Create a rate limiter, shareable across wrapped functions and runners
+ * @param {Object} options - Limiter options
+ * @param {string} [options.strategy] - `token-bucket` or `sliding-window`
+ * @param {number} options.limit - Number of permits per interval
+ * @param {number} [options.interval] - Length of the interval in milliseconds
+ * @param {number} [options.burst] - Permits a token bucket can hold, defaults to `limit`
+ * @returns {RateLimiter} - The rate limiter
+ */
+function createRateLimiter(options) {
+    return new RateLimiter(options);
+}
+
+/**
+ * Get an iterator over a sync or async iterable, such as an array, a generator or a Readable stream
+ * @param {Iterable|AsyncIterable} items - The iterable
+ * @returns {Iterator|AsyncIterator} - The iterator
+ */
+function getIterator(items) {
+    if (items && typeof items[Symbol.asyncIterator] === 'function') {
+        return items[Symbol.asyncIterator]();
+    }
+    if (items && typeof items[Symbol.iterator] === 'function') {
+        return items[Symbol.iterator]();
+    }
+    throw new TypeError('Expected an iterable or async iterable');
+}
+
+/**
+ * Lazily map a sync or async iterable, keeping it sync when it is sync
+ * @param {Iterable|AsyncIterable} items - The iterable
+ * @param {Function} fn - Function applied to each item
+ * @returns {Iterable|AsyncIterable} - The mapped iterable
+ */
+function mapLazily(items, fn) {
+    if (items && typeof items[Symbol.asyncIterator] === 'function') {
+        return (async function* () {
+            for await (const item of items) {
+                yield fn(item);
+            }
+        })();
+    }
+    return (function* () {
+        for (const item of items) {
+            yield fn(item);
+        }
+    })();
+}
+
+/**
+ * Pull items lazily from a sync or async iterable and run a worker on each, at most `concurrency` at a time.
+ * A new item is only pulled once a worker slot is free, so streams are consumed with backpressure.
+ * @param {Iterable|AsyncIterable} items - The items
+ * @param {number} concurrency - Number of workers to run in parallel
+ * @param {Function} worker - Function `(item, index)` returning a promise
+ * @param {Object} [options] - Pool options
+ * @param {AbortSignal} [options.signal] - Signal that stops pulling items
+ * @param {boolean} [options.failFast] - Reject on the first failure and stop pulling items
+ * @param {Function} [options.onSettled] - Called with the index and an allSettled-style record of each item
+ * @param {Function} [options.isDone] - Returns true once no more items should be pulled
+ * @returns {Promise<number>} - Promise resolving with the number of items pulled once all of them were processed
+ */
+function runPool(items, concurrency, worker, {signal, failFast = true, onSettled, isDone} = {}) {
+    let iterator;
+    try {
+        iterator = getIterator(items);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    let index = 0;
+    let activeCount = 0;
+    let pulling = false;
+    let exhausted = false;
+    let stopped = false;
+
+    return raceSignal(new Promise((resolve, reject) => {
+        const close = () => {
+            if (!exhausted && typeof iterator.return === 'function') {
+                // Release the source, e.g. destroy a stream, once nothing more will be pulled
+                Promise.resolve().then(() => iterator.return()).catch(() => {});
+            }
+            exhausted = true;
+        };
+
+        const stop = err => {
+            stopped = true;
+            close();
+            reject(err);
+        };
+
+        const start = (item, itemIndex) => {
+            activeCount++;
+            Promise.resolve().then(() => worker(item, itemIndex)).then(value => {
+                if (onSettled) {
+                    onSettled(itemIndex, {status: 'fulfilled', value});
+                }
+            }, reason => {
+                if (failFast) {
+                    return stop(reason);
+                }
+                if (onSettled) {
+                    onSettled(itemIndex, {status: 'rejected', reason});
+                }
+            }).then(() => {
+                activeCount--;
+                next();
+            });
+        };
+
+        const next = () => {
+            if (stopped) {
+                return;
+            }
+            if (signal && signal.aborted) {
+                return stop(toAbortError(signal));
+            }
+            if (!exhausted && !pulling && isDone && isDone()) {
+                close();
+            }
+            if (exhausted) {
+                if (activeCount === 0) {
+                    resolve(index);
+                }
+                return;
+            }
+            if (pulling || activeCount >= concurrency) {
+                return;
+            }
+
+            pulling = true;
+            Promise.resolve().then(() => iterator.next()).then(({value, done}) => {
+                pulling = false;
+                if (done) {
+                    exhausted = true;
+                } else if (!stopped && !exhausted) {
+                    start(value, index++);
+                }
+                next();
+            }, err => {
+                pulling = false;
+                exhausted = true;
+                stop(err);
+            });
+        };
+
+        next();
+    }), signal);
+}
+
+const ERROR_MODES = ['fail-fast', 'continue', 'settle'];
+
+/**
+ * Run tasks in a queue with concurrency control
+ * @param {Iterable<Function>|AsyncIterable<Function>} tasks - Functions returning promises; iterables and streams
+ * are consumed lazily
+ * @param {number} concurrency - Number of tasks to run in parallel
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops scheduling tasks; passed to each task as `{signal}`
+ * @param {Object} [options.retry] - Retry policy applied to each task, see retry()
+ * @param {number} [options.taskTimeout] - Milliseconds each task may take
+ * @param {number} [options.timeout] - Milliseconds the whole run may take
+ * @param {RateLimiter|Object} [options.rateLimit] - Shared limiter, or limiter options, bounding how often tasks start
+ * @param {string} [options.errorMode] - `fail-fast` rejects on the first failure and stops scheduling tasks,
+ * `continue` runs every task then rejects with an AggregateError, `settle` resolves with allSettled-style records
+ * @param {string} [options.name] - Name of the run, see series()
+ * @param {Object} [options.labels] - Labels of the run, see series()
+ * @param {Function} [options.onTaskStart] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskEnd] - Instrumentation hooks, see series()
+ * @param {Function} [options.onTaskError] - Instrumentation hooks, see series()
+ * @param {Function|EventEmitter} [options.onProgress] - Progress reporting, see series()
+ * @param {number} [options.total] - Number of tasks, for the progress of iterables of unknown size
+ * @returns {Promise} - Promise resolving with the results, in the order of the tasks
+ */
+function queue(tasks, concurrency, options = {}) {
+    return runQueue('queue', tasks, concurrency, options);
+}
+
+/**
+ * Implementation of queue(), shared with the runners built on it
+ * @param {string} runner - Name of the runner, reported to instrumentation hooks
+ * @param {Iterable<Function>|AsyncIterable<Function>} tasks - Functions returning promises
+ * @param {number} concurrency - Number of tasks to run in parallel
+ * @param {Object} options - Run options, see queue()
+ * @returns {Promise} - Promise resolving with the results, in the order of the tasks
+ */
+function runQueue(runner, tasks, concurrency, options) {
+    if (options.timeout) {
+        return withDeadline(options, runOptions => runQueue(runner, tasks, concurrency, runOptions));
+    }
+    if (options.rateLimit && !(options.rateLimit instanceof RateLimiter)) {
+        let rateLimit;
+        try {
+            rateLimit = createRateLimiter(options.rateLimit);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return runQueue(runner, tasks, concurrency, Object.assign({}, options, {rateLimit}));
+    }
+
+    const {signal, errorMode = 'fail-fast'} = options;
+    if (!ERROR_MODES.includes(errorMode)) {
+        return Promise.reject(new TypeError(`Unknown errorMode "${errorMode}", expected one of ${ERROR_MODES.join(', ')}`));
+    }
+
+    const results = [];
+    const failures = [];
+
+    const onSettled = (index, outcome) => {
+        if (errorMode === 'settle') {
+            results[index] = outcome;
+        } else if (outcome.status === 'fulfilled') {
+            results[index] = outcome.value;
+        } else {
+            failures.push({index, reason: outcome.reason});
+        }
+    };
+
+    const track = instrumentRun(runner, options);
+    const progress = createProgress(options.total !== undefined ? options.total : sizeOf(tasks), options.onProgress);
+    const start = (task, index) => progress.run(index, report => prepareTask(task, options)({signal, progress: report}));
+    return runPool(tasks, concurrency, (task, index) => track(task, index, () => start(task, index)), {
+        signal,
+        failFast: errorMode === 'fail-fast',
+        onSettled
+    }).then(count => {
+        results.length = count;
+        if (failures.length > 0) {
+            failures.sort((a, b) => a.index - b.index);
+            const error = new AggregateError(failures.map(failure => failure.reason), `${failures.length} of ${count} tasks failed`);
+            error.failures = failures;
+            error.results = results;
+            throw error;
+        }
+        return results;
+    });
+}
+
+/**
+ * Convert a callback-based function to a promise-based function with cancellation support.
+ * The callback handed to the function carries the `signal` and an `onCancel(hook)` method for
+ * registering cleanup that runs when the call is cancelled.
+ * @param {Function} func - The callback-based function
+ * @returns {Function} - The promise-based function with cancellation support
+ */
+function callbackToPromiseWithCancellation(func) {
+    const invoke = (signal, args) => {
+        const cancellationToken = CancellationToken.linked(signal);
+        const cleanupHooks = [];
+        let settled = false;
+
+        const promise = new Promise((resolve, reject) => {
+            if (cancellationToken.isCancelled) {
+                settled = true;
+                return reject(toAbortError(cancellationToken.signal));
+            }
+
+            const removeCancelHook = cancellationToken.onCancel(error => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                cleanupHooks.forEach(hook => {
+                    try {
+                        hook(error);
+                    } catch (e) {
+                        // Cleanup failures must not mask the cancellation
+                    }
+                });
+                reject(error);
+            });
+
+            const callback = (err, result) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                removeCancelHook();
+                cancellationToken.dispose();
+                if (err) {
+                    return reject(err);
+                }
+                resolve(result);
+            };
+            callback.signal = cancellationToken.signal;
+            callback.onCancel = hook => cleanupHooks.push(hook);
+
+            try {
+                func(...args, callback);
+            } catch (err) {
+                callback(err);
+            }
+        });
+
+        promise.cancel = reason => cancellationToken.cancel(reason);
+        return promise;
+    };
+
+    const cancellable = function (...args) {
+        return invoke(undefined, args);
+    };
+    cancellable.withSignal = signal => (...args) => invoke(signal, args);
+    return cancellable;
+}
+
+function isGenerator(value) {
+    return Boolean(value) && typeof value.next === 'function' && typeof value.throw === 'function';
+}
+
+function isGeneratorFunction(value) {
+    return typeof value === 'function' && Boolean(value.constructor) && value.constructor.name === 'GeneratorFunction';
+}
+
+/**
+ * Convert a value yielded by a coroutine to a promise. Arrays are resolved in parallel, plain
+ * objects as props, generators as nested coroutines and other functions as callback thunks.
+ * @param {*} value - The yielded value
+ * @param {CancellationToken} cancellationToken - Token of the coroutine
+ * @returns {Promise} - Promise resolving with the value sent back into the generator
+ */
+function yieldedToPromise(value, cancellationToken) {
+    if (value && typeof value.then === 'function') {
+        return Promise.resolve(value);
+    }
+    if (Array.isArray(value)) {
+        return parallel(value.map(item => () => yieldedToPromise(item, cancellationToken)), {signal: cancellationToken.signal});
+    }
+    if (isGenerator(value)) {
+        return driveGenerator(value, cancellationToken);
+    }
+    if (isGeneratorFunction(value)) {
+        return driveGenerator(value(), cancellationToken);
+    }
+    if (typeof value === 'function') {
+        return callbackToPromise(value)();
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const promises = {};
+        for (const key of Object.keys(value)) {
+            promises[key] = yieldedToPromise(value[key], cancellationToken);
+        }
+        return props(promises);
+    }
+    return Promise.resolve(value);
+}
+
+/**
+ * Run a generator to completion, resolving each yielded value and sending it back in
+ * @param {Generator} generator - The generator
+ * @param {CancellationToken} cancellationToken - Token whose cancellation calls `generator.return()`
+ * @returns {Promise} - Promise resolving with the generator's return value
+ */
+function driveGenerator(generator, cancellationToken) {
+    return new Promise((resolve, reject) => {
+        if (cancellationToken.isCancelled) {
+            return reject(toAbortError(cancellationToken.signal));
+        }
+        // Identifies the step waiting for a yielded value, so values arriving after cancellation are dropped
+        let pending = 0;
+        let cancelled = null;
+        let removeCancelHook = () => {};
+
+        const step = (method, arg) => {
+            let result;
+            try {
+                result = generator[method](arg);
+            } catch (err) {
+                removeCancelHook();
+                return reject(cancelled || err);
+            }
+            if (result.done) {
+                removeCancelHook();
+                return cancelled ? reject(cancelled) : resolve(result.value);
+            }
+            const id = ++pending;
+            yieldedToPromise(result.value, cancellationToken).then(value => {
+                if (id === pending) {
+                    step('next', value);
+                }
+            }, err => {
+                if (id === pending) {
+                    step('throw', err);
+                }
+            });
+        };
+
+        removeCancelHook = cancellationToken.onCancel(error => {
+            cancelled = error;
+            pending++;
+            // Lets finally blocks run; values they yield are still resolved
+            step('return');
+        });
+        step('next');
+    });
+}
+
+/**
+ * Wrap a generator function in a co-style coroutine. Yielded promises, arrays, objects, generators
+ * and callback thunks are resolved and sent back into the generator; rejections are thrown at the yield.
+ * @param {GeneratorFunction} genFn - The generator function
+ * @returns {Function} - Function returning a promise with a `cancel(reason)` method, which calls
+ *     `generator.return()` and rejects with an AbortError; `withSignal(signal)` returns a variant
+ *     cancelled through an AbortSignal
+ */
+function coroutine(genFn) {
+    const invoke = (signal, thisArg, args) => {
+        const cancellationToken = CancellationToken.linked(signal);
+        let promise;
+        try {
+            const generator = genFn.apply(thisArg, args);
+            promise = isGenerator(generator) ? driveGenerator(generator, cancellationToken) : Promise.resolve(generator);
+        } catch (err) {
+            promise = Promise.reject(err);
+        }
+        const dispose = () => cancellationToken.dispose();
+        promise.then(dispose, dispose);
+        promise.cancel = reason => cancellationToken.cancel(reason);
+        return promise;
+    };
+
+    const wrapped = function (...args) {
+        return invoke(undefined, this, args);
+    };
+    wrapped.withSignal = signal => function (...args) {
+        return invoke(signal, this, args);
+    };
+    return wrapped;
+}
+
+/**
+ * Reflect a promise to always resolve with an object describing its state
+ * @param {Function} promiseFunc - The promise-based function
+ * @returns {Function} - The reflected function
+ */
+function reflect(promiseFunc) {
+    return function (...args) {
+        return promiseFunc(...args)
+            .then(result => ({isFulfilled: true, isRejected: false, value: result}))
+            .catch(error => ({isFulfilled: false, isRejected: true, reason: error}));
+    };
+}
+
+/**
+ * Bound how long a promise, or the promise returned by a function, may take to settle.
+ * A function receives `{signal}`, which aborts when the time runs out.
+ * @param {Promise|Function} promiseOrFn - The promise, or a function returning one
+ * @param {number} ms - Milliseconds before timing out
+ * @param {Object} [options] - Timeout options
+ * @param {string} [options.message] - Message of the TimeoutError
+ * @param {*} [options.fallback] - Value, or function called with the TimeoutError, to resolve with instead of rejecting
+ * @param {AbortSignal} [options.signal] - Signal forwarded to the function
+ * @returns {Promise} - Promise settling with the work, or rejecting with a TimeoutError
+ */
+function timeout(promiseOrFn, ms, options = {}) {
+    const {message = `Operation timed out after ${ms}ms`, fallback, signal} = options;
+    const cancellationToken = CancellationToken.linked(signal);
+    const work = typeof promiseOrFn === 'function'
+        ? Promise.resolve().then(() => promiseOrFn({signal: cancellationToken.signal}))
+        : Promise.resolve(promiseOrFn);
+
+    let timer;
+    return raceSignal(new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new TimeoutError(message);
+            cancellationToken.cancel(error);
+            if (fallback === undefined) {
+                return reject(error);
+            }
+            try {
+                resolve(typeof fallback === 'function' ? fallback(error) : fallback);
+            } catch (err) {
+                reject(err);
+            }
+        }, ms);
+
+        work.then(resolve, reject);
+    }), signal).finally(() => {
+        // Also reached when the signal aborts first, so neither the timer nor the fallback outlive the call
+        clearTimeout(timer);
+        cancellationToken.dispose();
+    });
+}
+
+const RUN_HANDLE = Symbol('runHandle');
+
+/**
+ * Handle of a run started with the `controllable` option, letting the caller pause, resume,
+ * abort and inspect it between steps
+ */
+class RunHandle {
+    constructor(signal) {
+        this.cancellationToken = CancellationToken.linked(signal);
+        this.status = 'running';
+        this.index = -1;
+        this.completed = 0;
+        this.resumeWaiters = [];
+        this.inspect = () => ({});
+        this.promise = null;
+    }
+
+    get signal() {
+        return this.cancellationToken.signal;
+    }
+
+    get isPaused() {
+        return this.status === 'paused';
+    }
+
+    /**
+     * @returns {Object} - The run's `status`, the `index` of the current step, the number of `completed` steps,
+     *     and the `results` so far for series or the `accumulator` for reduce
+     */
+    get state() {
+        return Object.assign({status: this.status, index: this.index, completed: this.completed}, this.inspect());
+    }
+
+    /**
+     * Let the current step finish, then wait for resume() before starting the next one
+     */
+    pause() {
+        if (this.status === 'running') {
+            this.status = 'paused';
+        }
+    }
+
+    resume() {
+        if (this.status === 'paused') {
+            this.status = 'running';
+            this.resumeWaiters.splice(0).forEach(resume => resume());
+        }
+    }
+
+    /**
+     * Stop the run; it rejects with an AbortError
+     * @param {*} [reason] - Reason of the abort
+     */
+    abort(reason) {
+        this.cancellationToken.cancel(reason);
+    }
+
+    /**
+     * Run one step once the run is not paused
+     * @param {number} index - Index of the step
+     * @param {Function} start - Function starting the step
+     * @returns {Promise} - Promise settling with the step's outcome
+     */
+    runStep(index, start) {
+        const ready = this.isPaused ? new Promise(resolve => this.resumeWaiters.push(resolve)) : Promise.resolve();
+        return raceSignal(ready, this.signal).then(() => {
+            this.index = index;
+            return start();
+        }).then(result => {
+            this.completed++;
+            return result;
+        });
+    }
+}
+
+const uncontrolledRun = {
+    runStep: (index, start) => start(),
+    // Runs without a handle have nobody to report their state to
+    set inspect(inspect) {}
+};
+
+/**
+ * Start a runner with a run handle when its `controllable` option is set
+ * @param {Object} options - Options of the run
+ * @param {Function} run - Function starting the run with the given options
+ * @returns {RunHandle} - The handle, with the run's promise as `promise`
+ */
+function runControlled(options, run) {
+    const handle = new RunHandle(options.signal);
+    const runOptions = Object.assign({}, options, {controllable: false, signal: handle.signal, [RUN_HANDLE]: handle});
+    handle.promise = run(runOptions).then(result => {
+        handle.status = 'completed';
+        handle.cancellationToken.dispose();
+        return result;
+    }, err => {
+        handle.status = handle.signal.aborted ? 'aborted' : 'failed';
+        handle.cancellationToken.dispose();
+        throw err;
+    });
+    return handle;
+}
+
+/**
+ * Run a runner under its overall `timeout` option
+ * @param {Object} options - Options of the run
+ * @param {Function} run - Function starting the run with the given options
+ * @returns {Promise} - Promise of the run, rejecting with a TimeoutError once the time runs out
+ */
+function withDeadline(options, run) {
+    return timeout(({signal}) => run(Object.assign({}, options, {timeout: 0, signal})), options.timeout, {signal: options.signal});
+}
+
+const BACKOFF_STRATEGIES = {
+    fixed: (attempt, previousDelay, {minDelay}) => minDelay,
+    linear: (attempt, previousDelay, {minDelay}) => minDelay * attempt,
+    exponential: (attempt, previousDelay, {minDelay, factor}) => minDelay * Math.pow(factor, attempt - 1),
+    'decorrelated-jitter': (attempt, previousDelay, {minDelay}) => minDelay + Math.random() * (previousDelay * 3 - minDelay)
+};
+
+/**
+ * Wrap a function so failed calls are retried with backoff
+ * @param {Function} func - Function returning a promise, or a callback-based function with `callback: true`
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Maximum number of calls, including the first one
+ * @param {string|Function} [options.backoff] - `fixed`, `linear`, `exponential`, `decorrelated-jitter`, or a
+ * function `(attempt, previousDelay) => ms`
+ * @param {number} [options.minDelay] - Base delay in milliseconds
+ * @param {number} [options.maxDelay] - Upper bound for a single delay
+ * @param {number} [options.factor] - Growth factor of the exponential backoff
+ * @param {number} [options.maxElapsed] - Give up once the next attempt would start after this many milliseconds
+ * @param {Function} [options.shouldRetry] - Predicate `(err, attempt)` deciding whether to retry
+ * @param {Function} [options.onRetry] - Hook `(err, attempt, delay)` called before each retry
+ * @param {AbortSignal} [options.signal] - Signal that stops retrying
+ * @param {boolean} [options.callback] - Treat `func` as a callback-based function
+ * @returns {Function} - The retrying promise-based function
+ */
+function retry(func, options = {}) {
+    const {
+        maxAttempts = 3,
+        backoff = 'exponential',
+        minDelay = 100,
+        maxDelay = Infinity,
+        factor = 2,
+        maxElapsed = Infinity,
+        shouldRetry = () => true,
+        onRetry,
+        signal,
+        callback = false
+    } = options;
+    const strategy = typeof backoff === 'function' ? backoff : BACKOFF_STRATEGIES[backoff];
+    if (!strategy) {
+        throw new TypeError(`Unknown backoff "${backoff}", expected one of ${Object.keys(BACKOFF_STRATEGIES).join(', ')}`);
     }
+    const attemptFunc = callback ? callbackToPromise(func) : func;
+
+    return function (...args) {
+        const startedAt = Date.now();
+        let previousDelay = minDelay;
+
+        const attempt = number => Promise.resolve().then(() => {
+            throwIfAborted(signal);
+            return attemptFunc.apply(this, args);
+        }).catch(err => {
+            if ((signal && signal.aborted) || number >= maxAttempts || !shouldRetry(err, number)) {
+                throw err;
+            }
+            const delay = Math.min(maxDelay, strategy(number, previousDelay, {minDelay, factor}));
+            if (Date.now() - startedAt + delay > maxElapsed) {
+                throw err;
+            }
+            previousDelay = delay;
+            if (onRetry) {
+                onRetry(err, number, delay);
+            }
+            return sleep(delay, signal).then(() => attempt(number + 1));
+        });
+
+        return raceSignal(attempt(1), signal);
+    };
+}
 
-    cancel() {
-        this.isCancelled = true;
+/**
+ * Apply a runner's per-task timeout, rate limit and retry policy to a task
+ * @param {Function} task - Function returning a promise
+ * @param {Object} options - Options of the run
+ * @param {number} [options.taskTimeout] - Milliseconds each attempt may take
+ * @param {RateLimiter} [options.rateLimit] - Limiter each attempt waits on before starting
+ * @param {Object} [options.retry] - Retry options, see retry()
+ * @param {AbortSignal} [options.signal] - Signal of the run
+ * @returns {Function} - The task, bounded, limited and retrying as configured
+ */
+function prepareTask(task, {taskTimeout, rateLimit, retry: policy, signal}) {
+    let prepared = task;
+    if (taskTimeout) {
+        prepared = context => timeout(({signal: taskSignal}) => task(Object.assign({}, context, {signal: taskSignal})), taskTimeout, {signal: context.signal});
+    }
+    if (rateLimit) {
+        const limited = prepared;
+        prepared = context => rateLimit.acquire(context.signal).then(() => limited(context));
+    }
+    if (policy) {
+        prepared = retry(prepared, Object.assign({}, policy, {signal: signal || policy.signal}));
     }
+    return prepared;
 }
 
 /**
- * Convert a callback-based function to a promise-based function
- * @param {Function} func - The callback-based function
- * @returns {Function} - The promise-based function
+ * A circuit breaker guarding a promise-based function.
+ *
+ * While `closed`, calls go through and outcomes are counted over a rolling window. Once enough calls were made and
+ * the failure rate reaches the threshold, the breaker turns `open` and rejects calls right away. After
+ * `resetTimeout` it turns `half-open` and lets one trial call through, which closes or reopens it.
+ *
+ * Emits `stateChange` with the new and previous state, and an event named after each new state.
  */
-function callbackToPromise(func) {
-    const cache = new WeakMap();
+class CircuitBreaker extends EventEmitter {
+    constructor(func, {
+        failureThreshold = 0.5,
+        volumeThreshold = 5,
+        rollingWindow = 10000,
+        buckets = 10,
+        resetTimeout = 30000,
+        timeout: callTimeout,
+        fallback,
+        callback = false
+    } = {}) {
+        super();
+        this.func = callback ? callbackToPromise(func) : func;
+        this.failureThreshold = failureThreshold;
+        this.volumeThreshold = volumeThreshold;
+        this.rollingWindow = rollingWindow;
+        this.bucketSize = rollingWindow / buckets;
+        this.resetTimeout = resetTimeout;
+        this.callTimeout = callTimeout;
+        this.fallback = fallback;
+        this.state = 'closed';
+        this.buckets = [];
+        this.counters = {successes: 0, failures: 0, rejections: 0, fallbacks: 0};
+        this.trialInFlight = false;
+        this.resetTimer = null;
+        this.fire = this.fire.bind(this);
+    }
 
-    return function (...args) {
-        if (cache.has(func)) {
-            return cache.get(func);
+    /**
+     * Call the guarded function through the breaker
+     * @param {...*} args - Arguments of the call
+     * @returns {Promise} - Promise settling with the call, the fallback, or a CircuitOpenError
+     */
+    fire(...args) {
+        if (this.state === 'open' || (this.state === 'half-open' && this.trialInFlight)) {
+            this.counters.rejections++;
+            return this.fallbackOr(new CircuitOpenError(), args);
         }
 
-        const promise = new Promise((resolve, reject) => {
-            func(...args, (err, result) => {
-                if (err) {
-                    return reject(err);
-                }
-                resolve(result);
-            });
+        const isTrial = this.state === 'half-open';
+        if (isTrial) {
+            this.trialInFlight = true;
+        }
+
+        let promise = Promise.resolve().then(() => this.func(...args));
+        if (this.callTimeout) {
+            promise = timeout(promise, this.callTimeout);
+        }
+        return promise.then(result => {
+            this.record(true, isTrial);
+            return result;
+        }, err => {
+            this.record(false, isTrial);
+            return this.fallbackOr(err, args);
         });
+    }
 
-        cache.set(func, promise);
-        return promise;
-    };
+    fallbackOr(err, args) {
+        if (!this.fallback) {
+            return Promise.reject(err);
+        }
+        this.counters.fallbacks++;
+        return Promise.resolve().then(() => this.fallback(err, ...args));
+    }
+
+    record(success, isTrial) {
+        const now = Date.now();
+        this.buckets = this.buckets.filter(bucket => bucket.start > now - this.rollingWindow);
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.start + this.bucketSize <= now) {
+            bucket = {start: now, successes: 0, failures: 0};
+            this.buckets.push(bucket);
+        }
+        bucket[success ? 'successes' : 'failures']++;
+        this.counters[success ? 'successes' : 'failures']++;
+
+        if (isTrial) {
+            this.trialInFlight = false;
+            return success ? this.close() : this.open();
+        }
+        if (!success && this.state === 'closed') {
+            const {total, failureRate} = this.stats();
+            if (total >= this.volumeThreshold && failureRate >= this.failureThreshold) {
+                this.open();
+            }
+        }
+    }
+
+    open() {
+        clearTimeout(this.resetTimer);
+        this.resetTimer = setTimeout(() => this.halfOpen(), this.resetTimeout);
+        if (this.resetTimer.unref) {
+            this.resetTimer.unref();
+        }
+        this.transition('open');
+    }
+
+    halfOpen() {
+        clearTimeout(this.resetTimer);
+        this.transition('half-open');
+    }
+
+    close() {
+        clearTimeout(this.resetTimer);
+        this.buckets = [];
+        this.transition('closed');
+    }
+
+    transition(state) {
+        const previous = this.state;
+        if (state === previous) {
+            return;
+        }
+        this.state = state;
+        this.emit(state);
+        this.emit('stateChange', state, previous);
+    }
+
+    /**
+     * @returns {Object} - Snapshot of the state, the rolling window and lifetime counters
+     */
+    stats() {
+        const now = Date.now();
+        const window = this.buckets.filter(bucket => bucket.start > now - this.rollingWindow);
+        const successes = window.reduce((sum, bucket) => sum + bucket.successes, 0);
+        const failures = window.reduce((sum, bucket) => sum + bucket.failures, 0);
+        const total = successes + failures;
+        return {
+            state: this.state,
+            successes,
+            failures,
+            total,
+            failureRate: total === 0 ? 0 : failures / total,
+            lifetime: Object.assign({}, this.counters)
+        };
+    }
 }
 
 /**
- * Convert a promise-based function to a callback-based function
- * @param {Function} promiseFunc - The promise-based function
- * @returns {Function} - The callback-based function
+ * Guard a function with a circuit breaker
+ * @param {Function} func - Function returning a promise, or a callback-based function with `callback: true`
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold] - Failure rate, between 0 and 1, that opens the circuit
+ * @param {number} [options.volumeThreshold] - Calls needed in the rolling window before the circuit can open
+ * @param {number} [options.rollingWindow] - Length of the rolling window in milliseconds
+ * @param {number} [options.buckets] - Number of buckets the rolling window is divided into
+ * @param {number} [options.resetTimeout] - Milliseconds the circuit stays open before a trial call
+ * @param {number} [options.timeout] - Milliseconds after which a call counts as failed
+ * @param {Function} [options.fallback] - Function `(err, ...args)` whose result replaces failed or rejected calls
+ * @param {boolean} [options.callback] - Treat `func` as a callback-based function
+ * @returns {CircuitBreaker} - The breaker; call it through `breaker.fire(...args)`
  */
-function promiseToCallback(promiseFunc) {
-    return function (...args) {
-        const callback = args.pop();
-        promiseFunc(...args)
-            .then(result => callback(null, result))
-            .catch(err => callback(err));
-    };
+function circuitBreaker(func, options) {
+    return new CircuitBreaker(func, options);
 }
 
 /**
- * Run tasks in series
- * @param {Array<Function>} tasks - Array of functions returning promises
- * @returns {Promise} - Promise resolving when all tasks are done
+ * Collects individual loads into batched calls, see batch()
  */
-function series(tasks) {
-    const results = [];
-    return tasks.reduce((promise, task) => {
-        return promise.then(() => task().then(result => results.push(result)));
-    }, Promise.resolve()).then(() => results);
+class BatchLoader {
+    constructor(batchFn, {maxBatchSize = Infinity, wait = 0, cacheKey = key => key} = {}) {
+        if (typeof batchFn !== 'function') {
+            throw new TypeError('batchFn must be a function');
+        }
+        this.batchFn = batchFn;
+        this.maxBatchSize = maxBatchSize;
+        this.wait = wait;
+        this.cacheKey = cacheKey;
+        // Promises of keys waiting in the current window or in flight, by cache key
+        this.loads = new Map();
+        this.pending = [];
+        this.timer = null;
+        this.scheduled = false;
+    }
+
+    /**
+     * Load one key as part of the next batch
+     * @param {*} key - Key passed to the batch function
+     * @returns {Promise} - Promise resolving with the key's value
+     */
+    load(key) {
+        const cacheKey = this.cacheKey(key);
+        if (this.loads.has(cacheKey)) {
+            return this.loads.get(cacheKey);
+        }
+        const entry = {key, cacheKey};
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        this.pending.push(entry);
+        this.loads.set(cacheKey, entry.promise);
+        if (this.pending.length >= this.maxBatchSize) {
+            this.flush();
+        } else {
+            this.schedule();
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Load several keys
+     * @param {Array} keys - Keys passed to the batch function
+     * @returns {Promise<Array>} - Promise resolving with the values in key order
+     */
+    loadMany(keys) {
+        return Promise.all(keys.map(key => this.load(key)));
+    }
+
+    /**
+     * Forget a key so the next load fetches it again
+     * @param {*} key - Key to forget
+     */
+    clear(key) {
+        this.loads.delete(this.cacheKey(key));
+    }
+
+    /**
+     * Send the keys collected so far without waiting for the window to end
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.scheduled = false;
+        if (this.pending.length > 0) {
+            this.dispatch(this.pending);
+            this.pending = [];
+        }
+    }
+
+    schedule() {
+        if (this.scheduled) {
+            return;
+        }
+        this.scheduled = true;
+        if (this.wait > 0) {
+            this.timer = setTimeout(() => this.flush(), this.wait);
+        } else {
+            // Run after the promise callbacks of the current tick, so chained loads join the batch
+            const pending = this.pending;
+            Promise.resolve().then(() => process.nextTick(() => {
+                // Skip if the batch was already sent by flush() or maxBatchSize
+                if (this.pending === pending) {
+                    this.flush();
+                }
+            }));
+        }
+    }
+
+    dispatch(entries) {
+        const settle = entry => {
+            // The key may have been cleared and loaded again in the meantime
+            if (this.loads.get(entry.cacheKey) === entry.promise) {
+                this.loads.delete(entry.cacheKey);
+            }
+        };
+        invokeTask(this.batchFn, [entries.map(entry => entry.key)]).then(([values]) => {
+            if (!Array.isArray(values) || values.length !== entries.length) {
+                throw new TypeError(`batchFn must resolve with an array of ${entries.length} values`);
+            }
+            entries.forEach((entry, index) => {
+                settle(entry);
+                if (values[index] instanceof Error) {
+                    entry.reject(values[index]);
+                } else {
+                    entry.resolve(values[index]);
+                }
+            });
+        }).catch(err => {
+            entries.forEach(entry => {
+                settle(entry);
+                entry.reject(err);
+            });
+        });
+    }
 }
 
 /**
- * Run tasks in parallel
- * @param {Array<Function>} tasks - Array of functions returning promises
- * @returns {Promise} - Promise resolving when all tasks are done
+ * Create a loader batching individual loads into one call of `batchFn`.
+ * Identical keys share one promise while they wait for a batch or are in flight.
+ * @param {Function} batchFn - Promise- or callback-based function receiving an array of keys and
+ *     producing an array of values in the same order; Error values reject their key only
+ * @param {Object} [options] - Loader options
+ * @param {number} [options.maxBatchSize] - Largest number of keys sent in one call
+ * @param {number} [options.wait] - Milliseconds to collect keys for; by default keys loaded in the same tick are batched
+ * @param {Function} [options.cacheKey] - Function mapping a key to the value used to deduplicate it
+ * @returns {BatchLoader} - The loader; call `loader.load(key)`
  */
-function parallel(tasks) {
-    return Promise.all(tasks.map(task => task()));
+function batch(batchFn, options) {
+    return new BatchLoader(batchFn, options);
 }
 
 /**
- * Run tasks in waterfall
- * @param {Array<Function>} tasks - Array of functions accepting a callback
- * @returns {Promise} - Promise resolving when all tasks are done
+ * Reject the callers waiting for a debounced or throttled call that will not run
+ * @param {Array<Object>} callers - Waiting callers with `resolve` and `reject`
+ * @param {*} reason - Reason given to cancel()
  */
-function waterfall(tasks) {
-    return tasks.reduce((promise, task) => {
-        return promise.then(result =>
-            new Promise((resolve, reject) => {
-                task((err, res) => {
+function rejectCancelled(callers, reason) {
+    const err = new AbortError('Call was cancelled before it ran', {cause: reason});
+    callers.forEach(caller => caller.reject(err));
+}
 
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve([...result, res]);
-                });
-            })
-        );
-    }, Promise.resolve([]));
+/**
+ * Settle waiting callers with the outcome of the call that ran for them
+ * @param {Array<Object>} callers - Waiting callers with `resolve` and `reject`
+ * @param {Promise} result - Promise of the call
+ * @returns {Promise} - The same promise
+ */
+function settleCallers(callers, result) {
+    callers.forEach(caller => result.then(caller.resolve, caller.reject));
+    return result;
 }
 
 /**
- * A priority queue for managing tasks efficiently
+ * Debounce a promise-returning function. Every caller gets a promise settling with the
+ * outcome of the call that ran for it, instead of being dropped.
+ * @param {Function} fn - Function returning a promise or value
+ * @param {number} [wait] - Milliseconds without calls before `fn` runs
+ * @param {Object} [options] - Debounce options
+ * @param {boolean} [options.leading] - Run `fn` on the first call of a burst
+ * @param {boolean} [options.trailing] - Run `fn` with the latest arguments once calls stop, defaults to true
+ * @param {number} [options.maxWait] - Longest time a call may be delayed by following calls
+ * @returns {Function} - Debounced function with `flush()` running the pending call now, and
+ *     `cancel(reason)` rejecting the pending callers with an AbortError
  */
-class PriorityQueue {
-    constructor() {
-        this.queue = [];
+function debounce(fn, wait = 0, {leading = false, trailing = true, maxWait} = {}) {
+    if (!leading && !trailing) {
+        throw new TypeError('debounce needs leading or trailing calls enabled');
     }
+    let timer = null;
+    let maxTimer = null;
+    let callers = [];
+    let lastThis;
+    let lastArgs;
+    let leadingResult;
 
-    enqueue(task, priority = 0) {
-        this.queue.push({task, priority});
-        this.queue.sort((a, b) => b.priority - a.priority); // Higher priority tasks first
+    const invoke = (thisArg, args) => new Promise(resolve => resolve(fn.apply(thisArg, args)));
+    const end = () => {
+        clearTimeout(timer);
+        clearTimeout(maxTimer);
+        timer = null;
+        maxTimer = null;
+        const waiting = callers;
+        callers = [];
+        return waiting;
+    };
+    const invokeTrailing = () => {
+        const waiting = end();
+        return waiting.length > 0 ? settleCallers(waiting, invoke(lastThis, lastArgs)) : Promise.resolve();
+    };
+
+    function debounced(...args) {
+        const starting = timer === null;
+        clearTimeout(timer);
+        timer = setTimeout(invokeTrailing, wait);
+        if (starting) {
+            if (maxWait !== undefined) {
+                maxTimer = setTimeout(invokeTrailing, maxWait);
+            }
+            if (leading) {
+                leadingResult = invoke(this, args);
+                return leadingResult;
+            }
+        }
+        if (!trailing) {
+            return leadingResult;
+        }
+        lastThis = this;
+        lastArgs = args;
+        return new Promise((resolve, reject) => callers.push({resolve, reject}));
     }
 
-    dequeue() {
-        return this.queue.shift().task;
+    debounced.flush = invokeTrailing;
+    debounced.cancel = reason => rejectCancelled(end(), reason);
+    return debounced;
+}
+
+/**
+ * Throttle a promise-returning function to one call per interval. Every caller gets a promise
+ * settling with the outcome of the call that ran for it.
+ * @param {Function} fn - Function returning a promise or value
+ * @param {number} [interval] - Least milliseconds between two calls of `fn`
+ * @param {Object} [options] - Throttle options
+ * @param {boolean} [options.leading] - Run `fn` right away when the interval has passed, defaults to true
+ * @param {boolean} [options.trailing] - Run `fn` with the latest arguments at the end of the interval, defaults to true
+ * @returns {Function} - Throttled function with `flush()` and `cancel(reason)`, see debounce()
+ */
+function throttle(fn, interval = 0, {leading = true, trailing = true} = {}) {
+    if (!leading && !trailing) {
+        throw new TypeError('throttle needs leading or trailing calls enabled');
     }
+    let lastRun = -Infinity;
+    let timer = null;
+    let callers = [];
+    let lastThis;
+    let lastArgs;
+    let lastResult = Promise.resolve();
 
-    isEmpty() {
-        return this.queue.length === 0;
+    const invoke = (thisArg, args) => {
+        lastRun = Date.now();
+        lastResult = new Promise(resolve => resolve(fn.apply(thisArg, args)));
+        return lastResult;
+    };
+    const end = () => {
+        clearTimeout(timer);
+        timer = null;
+        const waiting = callers;
+        callers = [];
+        return waiting;
+    };
+    const invokeTrailing = () => {
+        const waiting = end();
+        return waiting.length > 0 ? settleCallers(waiting, invoke(lastThis, lastArgs)) : Promise.resolve();
+    };
+
+    function throttled(...args) {
+        const remaining = interval - (Date.now() - lastRun);
+        if (leading && timer === null && remaining <= 0) {
+            return invoke(this, args);
+        }
+        if (!trailing) {
+            return lastResult;
+        }
+        lastThis = this;
+        lastArgs = args;
+        if (timer === null) {
+            timer = setTimeout(invokeTrailing, leading ? Math.max(remaining, 0) : interval);
+        }
+        return new Promise((resolve, reject) => callers.push({resolve, reject}));
     }
+
+    throttled.flush = invokeTrailing;
+    throttled.cancel = reason => rejectCancelled(end(), reason);
+    return throttled;
 }
 
+////////////////////
 /**
- * Run tasks in a queue with concurrency control
- * @param {Array<Function>} tasks - Array of functions returning promises
- * @param {number} concurrency - Number of tasks to run in parallel
- * @returns {Promise} - Promise resolving when all tasks are done
+ * Map items through an async mapper with concurrency control
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} mapper - Function returning a promise for each item
+ * @param {number} concurrency - Number of items to map in parallel
+ * @param {Object} [options] - Run options, see queue()
+ * @returns {Promise} - Promise resolving with the mapped values
  */
-function queue(tasks, concurrency) {
-    const taskQueue = new PriorityQueue();
-    let activeCount = 0;
-    const results = [];
-    let resolveFinal;
-    let rejectFinal;
+function map(items, mapper, concurrency, options = {}) {
+    const tasks = mapLazily(items, item => context => mapper(item, context));
+    const total = options.total !== undefined ? options.total : sizeOf(items);
+    return runQueue('map', tasks, concurrency, Object.assign({}, options, {total}));
+}
 
-    tasks.forEach(task => taskQueue.enqueue(task));
+/**
+ * Map items through an async mapper with concurrency control, yielding each result as soon as it is ready.
+ * Results are yielded in completion order; no more than `concurrency` results are computed ahead of the consumer.
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} mapper - Function returning a promise for each item
+ * @param {number} concurrency - Number of items to map in parallel
+ * @param {Object} [options] - Run options, see queue(); the first failure is thrown by the iterator
+ * @returns {AsyncIterableIterator} - Async iterator over the mapped values
+ */
+async function* mapIterator(items, mapper, concurrency, options = {}) {
+    const cancellationToken = CancellationToken.linked(options.signal);
+    const taskOptions = Object.assign({}, options, {signal: cancellationToken.signal});
+    const ready = [];
+    let finished = false;
+    let failure = null;
+    let wake = null;
 
-    const next = () => {
-        if (taskQueue.isEmpty() && activeCount === 0) {
-            return resolveFinal(results);
+    const notify = () => {
+        if (wake) {
+            wake();
+            wake = null;
         }
+    };
 
-        while (activeCount < concurrency && !taskQueue.isEmpty()) {
-            activeCount++;
-            const task = taskQueue.dequeue();
-            task().then(result => {
-                results.push(result);
-                activeCount--;
-                next();
-            }).catch(err => {
-                rejectFinal(err);
-            });
+    // A worker keeps its slot until the consumer takes its result, which bounds how far ahead the pool runs
+    runPool(items, concurrency, item => {
+        return prepareTask(context => mapper(item, context), taskOptions)({signal: cancellationToken.signal})
+            .then(value => new Promise(release => {
+                ready.push({value, release});
+                notify();
+            }));
+    }, {signal: cancellationToken.signal}).then(() => {
+        finished = true;
+        notify();
+    }, err => {
+        failure = err;
+        finished = true;
+        notify();
+    });
+
+    try {
+        for (;;) {
+            if (ready.length > 0) {
+                const {value, release} = ready.shift();
+                release();
+                yield value;
+            } else if (failure) {
+                throw failure;
+            } else if (finished) {
+                return;
+            } else {
+                await new Promise(resolve => {
+                    wake = resolve;
+                });
+            }
         }
-    };
+    } finally {
+        // Stop pulling items when the consumer is done early
+        cancellationToken.cancel();
+    }
+}
+
+/**
+ * Map items through an async mapper with concurrency control, as an object-mode Readable stream of results
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} mapper - Function returning a promise for each item
+ * @param {number} concurrency - Number of items to map in parallel
+ * @param {Object} [options] - Run options, see mapIterator()
+ * @returns {Readable} - Stream of the mapped values, in completion order
+ */
+function mapStream(items, mapper, concurrency, options) {
+    return Readable.from(mapIterator(items, mapper, concurrency, options));
+}
+
+/**
+ * Run an async function on every item with concurrency control, keeping each item with its value
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} fn - Function returning a promise or value for each item
+ * @param {number} [concurrency] - Number of items to process in parallel
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops the run; passed to `fn` as `{signal}`
+ * @returns {Promise<Array<{item, value}>>} - Promise resolving with the items and values, in input order
+ */
+function collect(items, fn, concurrency = Infinity, {signal} = {}) {
+    const entries = [];
+    return runPool(items, concurrency, (item, index) => {
+        return Promise.resolve(fn(item, {signal})).then(value => {
+            entries[index] = {item, value};
+        });
+    }, {signal}).then(() => entries);
+}
+
+/**
+ * Find a matching item, stopping as soon as the answer is known
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} predicate - Function returning a promise or value for each item
+ * @param {number} concurrency - Number of predicates to run in parallel
+ * @param {Object} options - Run options
+ * @param {boolean} ordered - Resolve with the first match in input order rather than the first to be found
+ * @returns {Promise<{item, index}|null>} - Promise resolving with the match, or null when nothing matched
+ */
+function search(items, predicate, concurrency = Infinity, {signal} = {}, ordered) {
+    const cancellationToken = CancellationToken.linked(signal);
+    const outcomes = [];
+    let firstMatch = null;
+    let settledPrefix = 0;
 
     return new Promise((resolve, reject) => {
-        resolveFinal = resolve;
-        rejectFinal = reject;
-        next();
+        const found = result => {
+            resolve(result);
+            // Predicates still running can no longer change the answer
+            cancellationToken.cancel();
+        };
+
+        const onOutcome = (index, item, matched) => {
+            outcomes[index] = matched ? {item} : false;
+            if (matched && (firstMatch === null || index < firstMatch)) {
+                firstMatch = index;
+            }
+            if (!ordered && matched) {
+                return found({item, index});
+            }
+            while (outcomes[settledPrefix] === false) {
+                settledPrefix++;
+            }
+            if (outcomes[settledPrefix]) {
+                found({item: outcomes[settledPrefix].item, index: settledPrefix});
+            }
+        };
+
+        runPool(items, concurrency, (item, index) => {
+            return Promise.resolve(predicate(item, {signal: cancellationToken.signal}))
+                .then(matched => onOutcome(index, item, Boolean(matched)));
+        }, {
+            signal: cancellationToken.signal,
+            isDone: () => firstMatch !== null
+        }).then(() => resolve(null), reject).then(() => cancellationToken.dispose());
     });
 }
 
 /**
- * Convert a callback-based function to a promise-based function with cancellation support
- * @param {Function} func - The callback-based function
- * @returns {Function} - The promise-based function with cancellation support
+ * Keep the items matching an async predicate, with concurrency control
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} predicate - Function returning a promise or value for each item
+ * @param {number} [concurrency] - Number of predicates to run in parallel
+ * @param {Object} [options] - Run options, see collect()
+ * @returns {Promise<Array>} - Promise resolving with the matching items, in input order
  */
-function callbackToPromiseWithCancellation(func) {
-    return function (...args) {
-        const cancellationToken = new CancellationToken();
-        const promise = new Promise((resolve, reject) => {
-            func(...args, (err, result) => {
-                if (cancellationToken.isCancelled) {
-                    return reject(new Error('Operation cancelled'));
+function filter(items, predicate, concurrency, options) {
+    return collect(items, predicate, concurrency, options)
+        .then(entries => entries.filter(entry => entry.value).map(entry => entry.item));
+}
+
+/**
+ * Drop the items matching an async predicate, with concurrency control
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} predicate - Function returning a promise or value for each item
+ * @param {number} [concurrency] - Number of predicates to run in parallel
+ * @param {Object} [options] - Run options, see collect()
+ * @returns {Promise<Array>} - Promise resolving with the other items, in input order
+ */
+function reject(items, predicate, concurrency, options) {
+    return collect(items, predicate, concurrency, options)
+        .then(entries => entries.filter(entry => !entry.value).map(entry => entry.item));
+}
+
+/**
+ * Find the first item, in input order, matching an async predicate.
+ * No more predicates are started once a match is found.
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} predicate - Function returning a promise or value for each item
+ * @param {number} [concurrency] - Number of predicates to run in parallel
+ * @param {Object} [options] - Run options; the signal passed to predicates aborts once the answer is known
+ * @returns {Promise} - Promise resolving with the item, or undefined when nothing matched
+ */
+function find(items, predicate, concurrency, options) {
+    return search(items, predicate, concurrency, options, true).then(match => (match ? match.item : undefined));
+}
+
+/**
+ * Resolve with the first `count` fulfilled values of a list of promises, Bluebird-style
+ * @param {Iterable<Promise>} promises - Promises or values
+ * @param {number} count - Number of values to wait for
+ * @returns {Promise<Array>} - Promise resolving with the values in fulfillment order, rejecting with an
+ * AggregateError once too many promises were rejected
+ */
+function someOf(promises, count) {
+    const list = Array.from(promises);
+    return new Promise((resolve, reject) => {
+        if (count > list.length) {
+            return reject(new RangeError(`Cannot wait for ${count} of ${list.length} promises`));
+        }
+        const values = [];
+        const errors = [];
+        if (count <= 0) {
+            return resolve(values);
+        }
+        list.forEach(promise => {
+            Promise.resolve(promise).then(value => {
+                if (values.length < count) {
+                    values.push(value);
+                    if (values.length === count) {
+                        resolve(values);
+                    }
                 }
-                if (err) {
-                    return reject(err);
+            }, err => {
+                errors.push(err);
+                if (errors.length === list.length - count + 1) {
+                    reject(new AggregateError(errors, `Too many promises were rejected to fulfill ${count}`));
                 }
-                resolve(result);
             });
         });
+    });
+}
 
-        promise.cancel = () => cancellationToken.cancel();
-        return promise;
-    };
+/**
+ * Check whether any item matches an async predicate, stopping at the first match.
+ * Called as `some(promises, count)`, resolves with the first `count` fulfilled values like Bluebird's some.
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function|number} predicate - Function returning a promise or value for each item, or a count
+ * @param {number} [concurrency] - Number of predicates to run in parallel
+ * @param {Object} [options] - Run options; the signal passed to predicates aborts once the answer is known
+ * @returns {Promise<boolean|Array>} - Promise resolving with whether an item matched
+ */
+function some(items, predicate, concurrency, options) {
+    if (typeof predicate === 'number') {
+        return someOf(items, predicate);
+    }
+    return search(items, predicate, concurrency, options, false).then(match => match !== null);
 }
 
 /**
- * Reflect a promise to always resolve with an object describing its state
- * @param {Function} promiseFunc - The promise-based function
- * @returns {Function} - The reflected function
+ * Check whether every item matches an async predicate, stopping at the first mismatch
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} predicate - Function returning a promise or value for each item
+ * @param {number} [concurrency] - Number of predicates to run in parallel
+ * @param {Object} [options] - Run options; the signal passed to predicates aborts once the answer is known
+ * @returns {Promise<boolean>} - Promise resolving with whether every item matched
  */
-function reflect(promiseFunc) {
-    return function (...args) {
-        return promiseFunc(...args)
-            .then(result => ({isFulfilled: true, isRejected: false, value: result}))
-            .catch(error => ({isFulfilled: false, isRejected: true, reason: error}));
-    };
+function every(items, predicate, concurrency, options) {
+    const mismatch = (item, context) => Promise.resolve(predicate(item, context)).then(matched => !matched);
+    return search(items, mismatch, concurrency, options, false).then(match => match === null);
 }
 
-////////////////////
-function map(items, mapper, concurrency) {
-    const tasks = items.map(item => () => mapper(item));
-    return queue(tasks, concurrency);
+/**
+ * Sort items by keys computed asynchronously, with concurrency control. The sort is stable.
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} iteratee - Function returning a promise or value of the sort key for each item
+ * @param {number} [concurrency] - Number of keys to compute in parallel
+ * @param {Object} [options] - Run options, see collect()
+ * @returns {Promise<Array>} - Promise resolving with the items sorted by ascending key
+ */
+function sortBy(items, iteratee, concurrency, options) {
+    return collect(items, iteratee, concurrency, options).then(entries => entries
+        .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0))
+        .map(entry => entry.item));
+}
+
+/**
+ * Group items by keys computed asynchronously, with concurrency control
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
+ * @param {Function} iteratee - Function returning a promise or value of the group key for each item
+ * @param {number} [concurrency] - Number of keys to compute in parallel
+ * @param {Object} [options] - Run options, see collect()
+ * @returns {Promise<Object>} - Promise resolving with the items of each key, in input order
+ */
+function groupBy(items, iteratee, concurrency, options) {
+    return collect(items, iteratee, concurrency, options).then(entries => entries.reduce((groups, {item, value}) => {
+        (groups[value] = groups[value] || []).push(item);
+        return groups;
+    }, {}));
 }
 
 /**
  * Reduce tasks sequentially
- * @param {Array} items - Array of items
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
  * @param {Function} reducer - Function to reduce items to a single value
  * @param {*} initialValue - Initial value for the reduction
- * @returns {Promise} - Promise resolving when all tasks are done
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops the reduction; passed to the reducer as `{signal}`
+ * @param {boolean} [options.controllable] - Return a RunHandle whose `promise` is the run, see series()
+ * @returns {Promise|RunHandle} - Promise resolving when all tasks are done
  */
-function reduce(items, reducer, initialValue) {
-    return items.reduce((promise, item) => {
-        return promise.then(accumulator => reducer(accumulator, item));
-    }, Promise.resolve(initialValue));
+function reduce(items, reducer, initialValue, options = {}) {
+    if (options.controllable) {
+        return runControlled(options, runOptions => reduce(items, reducer, initialValue, runOptions));
+    }
+
+    const {signal} = options;
+    const control = options[RUN_HANDLE] || uncontrolledRun;
+    let accumulator;
+    control.inspect = () => ({accumulator});
+    return Promise.resolve(initialValue).then(initial => {
+        accumulator = initial;
+        return runPool(items, 1, (item, index) => control.runStep(index, () => {
+            return Promise.resolve(reducer(accumulator, item, {signal})).then(value => {
+                accumulator = value;
+            });
+        }), {signal}).then(() => accumulator);
+    });
 }
 
 /**
@@ -248,46 +3777,197 @@ function allSettled(promises) {
 }
 
 /**
- * Resolves a map of promises to a map of resolved values
- * @param {Object} obj - Object containing promises
- * @returns {Promise} - Promise resolving to an object with resolved values
- */
-function props(obj) {
-    const keys = Object.keys(obj);
-    const promises = keys.map(key => obj[key]);
-    return Promise.all(promises).then(results => {
-        const resolvedObj = {};
-        results.forEach((result, index) => {
-            resolvedObj[keys[index]] = result;
-        });
-        return resolvedObj;
+ * @param {*} value - Any value
+ * @returns {boolean} - Whether props() descends into the value when resolving deeply
+ */
+function isPropsContainer(value) {
+    if (value instanceof Map || Array.isArray(value)) {
+        return true;
+    }
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Copy the structure of an object, Map or array and list the values to resolve
+ * @param {Object|Map|Array} input - The structure
+ * @param {boolean} deep - Descend into nested objects, Maps and arrays
+ * @returns {{root, leaves: Array<{target, key, value}>}} - The copied structure and its values
+ */
+function propsLeaves(input, deep) {
+    const leaves = [];
+    const walk = source => {
+        if (source instanceof Map) {
+            const target = new Map();
+            source.forEach((value, key) => visit(target, key, value));
+            return target;
+        }
+        const target = Array.isArray(source) ? new Array(source.length) : {};
+        Object.keys(source).forEach(key => visit(target, key, source[key]));
+        return target;
+    };
+    const visit = (target, key, value) => {
+        if (deep && isPropsContainer(value)) {
+            assignProp(target, key, walk(value));
+        } else {
+            leaves.push({target, key, value});
+        }
+    };
+    return {root: walk(input), leaves};
+}
+
+/**
+ * Set a key of an object or Map
+ * @param {Object|Map} target - The object or Map
+ * @param {*} key - The key
+ * @param {*} value - The value
+ */
+function assignProp(target, key, value) {
+    if (target instanceof Map) {
+        target.set(key, value);
+    } else {
+        target[key] = value;
+    }
+}
+
+/**
+ * Resolve the values of an object or Map, as values or as allSettled-style records
+ * @param {Object|Map} input - Object or Map of promises, values or thunks
+ * @param {Object} options - Props options, see props()
+ * @param {boolean} settle - Resolve every key with a record instead of rejecting on the first failure
+ * @returns {Promise} - Promise resolving to the same structure with resolved values
+ */
+function resolveProps(input, {deep = false, concurrency = Infinity, signal} = {}, settle) {
+    const {root, leaves} = propsLeaves(input, deep);
+    const resolveThunk = leaf => leaf.value({signal});
+    const poolOptions = list => ({
+        signal,
+        failFast: !settle,
+        onSettled: (index, outcome) => {
+            const {target, key} = list[index];
+            assignProp(target, key, settle ? outcome : outcome.value);
+        }
     });
+
+    // Only thunks are started by props, so only they count against the concurrency limit
+    const thunks = leaves.filter(leaf => typeof leaf.value === 'function');
+    const values = leaves.filter(leaf => typeof leaf.value !== 'function');
+    // Every value gets a handler up front, so later rejections are never left unhandled
+    const pending = values.map(leaf => leaf.value);
+    const resolvedValues = settle
+        ? Promise.allSettled(pending).then(outcomes => outcomes.forEach((outcome, index) => {
+            assignProp(values[index].target, values[index].key, outcome);
+        }))
+        : Promise.all(pending).then(results => results.forEach((result, index) => {
+            assignProp(values[index].target, values[index].key, result);
+        }));
+    return Promise.all([
+        runPool(thunks, concurrency, resolveThunk, poolOptions(thunks)),
+        raceSignal(resolvedValues, signal)
+    ]).then(() => root);
+}
+
+/**
+ * Resolves a map of promises to a map of resolved values
+ * @param {Object|Map} obj - Object or Map containing promises, values, or thunks returning promises
+ * @param {Object} [options] - Props options
+ * @param {boolean} [options.deep] - Also resolve nested plain objects, Maps and arrays
+ * @param {number} [options.concurrency] - Number of thunks to run in parallel
+ * @param {AbortSignal} [options.signal] - Signal that stops starting thunks; passed to each thunk as `{signal}`
+ * @returns {Promise} - Promise resolving to an object, or a Map, with resolved values
+ */
+function props(obj, options) {
+    return resolveProps(obj, options, false);
+}
+
+/**
+ * Resolves a map of promises to a map of allSettled-style records, never rejecting on a failed value
+ * @param {Object|Map} obj - Object or Map containing promises, values, or thunks returning promises
+ * @param {Object} [options] - Props options, see props()
+ * @returns {Promise} - Promise resolving to an object, or a Map, with a `{status, value}` or `{status, reason}`
+ * record per key
+ */
+function propsSettled(obj, options) {
+    return resolveProps(obj, options, true);
 }
 
 /**
  * Execute tasks sequentially
- * @param {Array} items - Array of items
+ * @param {Iterable|AsyncIterable} items - Items; iterables and streams are consumed lazily
  * @param {Function} iterator - Function to execute on each item
- * @returns {Promise} - Promise resolving when all tasks are done
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Signal that stops the iteration; passed to the iterator as `{signal}`
+ * @param {Function|EventEmitter} [options.onProgress] - Progress reporting, see series()
+ * @param {number} [options.total] - Number of items, for the progress of iterables of unknown size
+ * @param {boolean} [options.controllable] - Return a RunHandle whose `promise` is the run, see series()
+ * @returns {Promise|RunHandle} - Promise resolving when all tasks are done
  */
-function each(items, iterator) {
-    return items.reduce((promise, item) => {
-        return promise.then(() => iterator(item));
-    }, Promise.resolve());
+function each(items, iterator, options = {}) {
+    if (options.controllable) {
+        return runControlled(options, runOptions => each(items, iterator, runOptions));
+    }
+
+    const {signal} = options;
+    const progress = createProgress(options.total !== undefined ? options.total : sizeOf(items), options.onProgress);
+    const control = options[RUN_HANDLE] || uncontrolledRun;
+    const step = (item, index) => progress.run(index, report => iterator(item, {signal, progress: report}));
+    return runPool(items, 1, (item, index) => control.runStep(index, () => step(item, index)), {signal})
+        .then(() => undefined);
 }
 
 module.exports = {
+    AbortError,
+    TimeoutError,
+    CircuitOpenError,
+    CancellationToken,
     callbackToPromise,
+    callbackToPromiseWithCancellation,
+    coroutine,
     promiseToCallback,
+    promisifyAll,
+    fromEvent,
+    eventIterator,
     series,
     parallel,
     waterfall,
+    auto,
+    callbackTask,
+    promiseTask,
     queue,
+    createQueue,
+    createDurableQueue,
+    createRateLimiter,
     map,
+    mapIterator,
+    mapStream,
     reduce,
     any,
-
+    some,
+    every,
+    filter,
+    reject,
+    find,
+    sortBy,
+    groupBy,
     allSettled,
     props,
-    each
+    propsSettled,
+    each,
+    retry,
+    timeout,
+    circuitBreaker,
+    addInstrumentation,
+    createMetricsCollector,
+    taskChannelNames,
+    batch,
+    debounce,
+    throttle,
+    Mutex,
+    Semaphore,
+    ReadWriteLock,
+    Barrier,
+    Latch
 };
@@ -1,18 +1,63 @@
 const {expect} = require('chai');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {promisify} = require('util');
+const {Readable} = require('stream');
+const diagnosticsChannel = require('diagnostics_channel');
 const {
+    AbortError,
+    TimeoutError,
+    CircuitOpenError,
+    CancellationToken,
     callbackToPromise,
+    callbackToPromiseWithCancellation,
+    coroutine,
     promiseToCallback,
+    promisifyAll,
+    fromEvent,
+    eventIterator,
     series,
     parallel,
     waterfall,
+    auto,
+    callbackTask,
+    promiseTask,
     queue,
+    createQueue,
+    createDurableQueue,
+    createRateLimiter,
     map,
+    mapIterator,
+    mapStream,
     reduce,
     any,
     some,
+    every,
+    filter,
+    reject,
+    find,
+    sortBy,
+    groupBy,
     allSettled,
     props,
-    each
+    propsSettled,
+    each,
+    retry,
+    timeout,
+    circuitBreaker,
+    addInstrumentation,
+    createMetricsCollector,
+    taskChannelNames,
+    batch,
+    debounce,
+    throttle,
+    Mutex,
+    Semaphore,
+    ReadWriteLock,
+    Barrier,
+    Latch
 } = require('../lib');
 
 // Sample callback function for testing
@@ -33,6 +78,25 @@ function examplePromiseFunc(a, b) {
     });
 }
 
+// Resolve with `value` after `ms` milliseconds
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(resolve, ms, value));
+}
+
+// Run `fn`, then collect the rejections left unhandled while it ran
+async function unhandledRejectionsOf(fn) {
+    const reasons = [];
+    const onUnhandled = reason => reasons.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        await fn();
+        await delay(5);
+    } finally {
+        process.removeListener('unhandledRejection', onUnhandled);
+    }
+    return reasons;
+}
+
 describe('callbackToPromise', () => {
     it('should convert a callback function to a promise', async () => {
         const promiseFunc = callbackToPromise(exampleCallbackFunc);
@@ -50,6 +114,167 @@ describe('callbackToPromise', () => {
     });
 });
 
+describe('callbackToPromise options', () => {
+    it('should resolve multi-value callbacks as an array or a named object', async () => {
+        const divide = (a, b, callback) => callback(null, Math.floor(a / b), a % b);
+        expect(await callbackToPromise(divide, {multiArgs: true})(7, 2)).to.deep.equal([3, 1]);
+        expect(await callbackToPromise(divide, {multiArgs: ['quotient', 'remainder']})(7, 2))
+            .to.deep.equal({quotient: 3, remainder: 1});
+    });
+
+    it('should preserve the this of the call', async () => {
+        const counter = {
+            count: 41,
+            increment(callback) {
+                callback(null, ++this.count);
+            }
+        };
+        counter.incrementAsync = callbackToPromise(counter.increment);
+        expect(await counter.incrementAsync()).to.equal(42);
+    });
+
+    it('should support callbacks without an error argument', async () => {
+        const exists = (name, callback) => callback(name === 'present');
+        expect(await callbackToPromise(exists, {errorIndex: false})('present')).to.be.true;
+    });
+
+    it('should support errors in another position', async () => {
+        const legacy = (fail, callback) => callback('result', fail ? new Error('late error') : null);
+        const promiseFunc = callbackToPromise(legacy, {errorIndex: 1});
+        expect(await promiseFunc(false)).to.equal('result');
+        try {
+            await promiseFunc(true);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('late error');
+        }
+    });
+
+    it('should honour util.promisify.custom', async () => {
+        const func = (callback) => callback(null, 'callback');
+        func[promisify.custom] = () => Promise.resolve('custom');
+        expect(await callbackToPromise(func)()).to.equal('custom');
+    });
+
+    it('should set util.promisify.custom on the functions it returns', async () => {
+        const promiseFunc = callbackToPromise(exampleCallbackFunc);
+        expect(promisify(promiseFunc)).to.equal(promiseFunc);
+        const cached = callbackToPromise(exampleCallbackFunc, {cache: true});
+        expect(promisify(cached)).to.equal(cached);
+    });
+});
+
+describe('callbackToPromise cache', () => {
+    function countingFunc() {
+        const calls = [];
+        const func = (a, b, callback) => {
+            calls.push([a, b]);
+            setTimeout(() => exampleCallbackFunc(a, b, callback), 5);
+        };
+        return {func, calls};
+    }
+
+    it('should not cache by default', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func);
+        expect(await promiseFunc(1, 2)).to.equal(3);
+        expect(await promiseFunc(1, 2)).to.equal(3);
+        expect(calls).to.have.length(2);
+    });
+
+    it('should cache results per argument list and share in-flight promises', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: true});
+        const first = promiseFunc(1, 2);
+        expect(promiseFunc(1, 2)).to.equal(first);
+        expect(await first).to.equal(3);
+        expect(await promiseFunc(3, 4)).to.equal(7);
+        expect(calls).to.deep.equal([[1, 2], [3, 4]]);
+    });
+
+    it('should use a custom key resolver', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: {resolver: a => a}});
+        await promiseFunc(1, 2);
+        expect(await promiseFunc(1, 5)).to.equal(3);
+        expect(calls).to.have.length(1);
+    });
+
+    it('should drop rejected entries', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: true});
+        await promiseFunc(-1, 2).catch(() => {});
+        await promiseFunc(-1, 2).catch(() => {});
+        expect(calls).to.have.length(2);
+    });
+
+    it('should expire entries after the ttl', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: {ttl: 20}});
+        await promiseFunc(1, 2);
+        await promiseFunc(1, 2);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        await promiseFunc(1, 2);
+        expect(calls).to.have.length(2);
+    });
+
+    it('should evict the least recently used entry beyond maxSize', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: {maxSize: 2}});
+        await promiseFunc(1, 1);
+        await promiseFunc(2, 2);
+        await promiseFunc(1, 1);
+        await promiseFunc(3, 3);
+        await promiseFunc(1, 1);
+        await promiseFunc(2, 2);
+        expect(calls).to.deep.equal([[1, 1], [2, 2], [3, 3], [2, 2]]);
+    });
+
+    it('should support delete and clear', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: true});
+        await promiseFunc(1, 2);
+        await promiseFunc(3, 4);
+        expect(promiseFunc.delete(1, 2)).to.be.true;
+        await promiseFunc(1, 2);
+        promiseFunc.clear();
+        await promiseFunc(3, 4);
+        expect(calls).to.have.length(4);
+    });
+
+    it('should keep a separate cache for each receiver', async () => {
+        const get = callbackToPromise(function (id, callback) {
+            setImmediate(() => callback(null, `${this.name}:${id}`));
+        }, {cache: true});
+        const a = {name: 'a', get};
+        const b = {name: 'b', get};
+        expect(await a.get(1)).to.equal('a:1');
+        expect(await b.get(1)).to.equal('b:1');
+        expect(a.get(1)).to.equal(a.get(1));
+        expect(get.delete.call(a, 1)).to.be.true;
+        expect(get.delete.call(b, 2)).to.be.false;
+    });
+
+    it('should reject when the cache key cannot be built', async () => {
+        const {func, calls} = countingFunc();
+        const promiseFunc = callbackToPromise(func, {cache: true});
+        const circular = {};
+        circular.self = circular;
+        for (const arg of [circular, 1n]) {
+            const result = promiseFunc(arg, 2);
+            expect(result).to.be.instanceOf(Promise);
+            try {
+                await result;
+                expect.fail('should have rejected');
+            } catch (err) {
+                expect(err).to.be.instanceOf(TypeError);
+            }
+            expect(promiseFunc.delete(arg, 2)).to.be.false;
+        }
+        expect(calls).to.have.length(0);
+    });
+});
+
 describe('promiseToCallback', () => {
     it('should convert a promise function to a callback', (done) => {
         const callbackFunc = promiseToCallback(examplePromiseFunc);
@@ -69,6 +294,120 @@ describe('promiseToCallback', () => {
             done();
         });
     });
+
+    it('should return the promise when no callback is passed', async () => {
+        const dualFunc = promiseToCallback(examplePromiseFunc);
+        expect(await dualFunc(1, 2)).to.equal(3);
+    });
+
+    it('should pass synchronous exceptions to the callback', (done) => {
+        const callbackFunc = promiseToCallback(() => {
+            throw new Error('sync failure');
+        });
+        callbackFunc((err) => {
+            expect(err.message).to.equal('sync failure');
+            done();
+        });
+    });
+
+    it('should wrap falsy rejection reasons', (done) => {
+        const callbackFunc = promiseToCallback(() => Promise.reject(null));
+        callbackFunc((err) => {
+            expect(err).to.be.an('error');
+            expect(err.code).to.equal('ERR_FALSY_VALUE_REJECTION');
+            expect(err.reason).to.be.null;
+            done();
+        });
+    });
+
+    it('should never call the callback twice and rethrow its exceptions asynchronously', (done) => {
+        const mochaListeners = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        let calls = 0;
+        process.once('uncaughtException', (err) => {
+            mochaListeners.forEach(listener => process.on('uncaughtException', listener));
+            expect(err.message).to.equal('callback failure');
+            setTimeout(() => {
+                expect(calls).to.equal(1);
+                done();
+            }, 5);
+        });
+        promiseToCallback(examplePromiseFunc)(1, 2, () => {
+            calls++;
+            throw new Error('callback failure');
+        });
+    });
+
+    it('should preserve the this of the call', (done) => {
+        const service = {
+            base: 10,
+            add: promiseToCallback(function (value) {
+                return Promise.resolve(this.base + value);
+            })
+        };
+        service.add(5, (err, result) => {
+            expect(result).to.equal(15);
+            done();
+        });
+    });
+});
+
+describe('promisifyAll', () => {
+    class Client {
+        constructor(prefix) {
+            this.prefix = prefix;
+        }
+
+        query(sql, callback) {
+            setTimeout(() => callback(null, `${this.prefix}:${sql}`), 1);
+        }
+
+        get status() {
+            return 'ready';
+        }
+
+        _internal(callback) {
+            callback(null, 'private');
+        }
+    }
+
+    class PooledClient extends Client {
+        stats(callback) {
+            callback(null, 'rows', 42);
+        }
+    }
+
+    it('should add promise versions bound to the receiver', async () => {
+        const client = promisifyAll(new Client('db'));
+        expect(await client.queryAsync('select 1')).to.equal('db:select 1');
+        expect(client).to.not.have.property('_internalAsync');
+        expect(client).to.not.have.property('statusAsync');
+    });
+
+    it('should cover inherited methods and leave the original API unchanged', async () => {
+        const client = promisifyAll(new PooledClient('pool'));
+        expect(await client.queryAsync('x')).to.equal('pool:x');
+        expect(await client.statsAsync()).to.equal('rows');
+        expect(Object.keys(client)).to.deep.equal(['prefix']);
+        client.query('y', (err, result) => expect(result).to.equal('pool:y'));
+    });
+
+    it('should promisify classes through their prototype', async () => {
+        class Remote extends Client {
+        }
+        promisifyAll(Remote, {suffix: 'P'});
+        expect(await new Remote('remote').queryP('z')).to.equal('remote:z');
+    });
+
+    it('should support filter and multiArgs for modules', async () => {
+        const legacy = {
+            read: (name, callback) => callback(null, name, name.length),
+            version: () => '1.0.0'
+        };
+        promisifyAll(legacy, {multiArgs: true, filter: name => name !== 'version'});
+        expect(await legacy.readAsync('abc')).to.deep.equal(['abc', 3]);
+        expect(legacy).to.not.have.property('versionAsync');
+    });
 });
 
 describe('series', () => {
@@ -99,11 +438,147 @@ describe('waterfall', () => {
     it('should execute tasks in waterfall', async () => {
         const tasks = [
             (callback) => callback(null, 1 + 2),
-            (callback) => callback(null, 3 + 4),
-            (callback) => callback(null, 5 + 6)
+            (sum, callback) => callback(null, sum + 4),
+            (sum, callback) => callback(null, sum + 5)
         ];
-        const results = await waterfall(tasks);
-        expect(results).to.deep.equal([3, 7, 11]);
+        const result = await waterfall(tasks);
+        expect(result).to.equal(12);
+    });
+
+    it('should spread multi-value callbacks into the next task', async () => {
+        const tasks = [
+            (callback) => callback(null, 'a', 'b'),
+            (first, second, callback) => callback(null, first + second)
+        ];
+        expect(await waterfall(tasks)).to.equal('ab');
+    });
+
+    it('should mix callback- and promise-based tasks', async () => {
+        const tasks = [
+            () => examplePromiseFunc(1, 2),
+            (sum, callback) => exampleCallbackFunc(sum, 3, callback),
+            async (sum) => sum * 2
+        ];
+        expect(await waterfall(tasks)).to.equal(12);
+    });
+
+    it('should treat async functions with extra parameters as promise-based', async () => {
+        expect(await waterfall([async () => 1, async (a, b) => a])).to.equal(1);
+        expect(await auto({first: async () => 1, second: ['first', async (results, extra) => results.first + 1]}))
+            .to.deep.equal({first: 1, second: 2});
+    });
+
+    it('should reject callback-based tasks that return a promise without calling back', async () => {
+        const mistaken = (a, b) => Promise.resolve(a);
+        try {
+            await waterfall([() => 1, mistaken]);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err).to.be.instanceOf(TypeError);
+            expect(err.message).to.contain('promiseTask()');
+        }
+    });
+
+    it('should honour explicitly marked tasks', async () => {
+        const tasks = [
+            promiseTask((...args) => Promise.resolve(args.length)),
+            callbackTask((...args) => args[args.length - 1](null, args[0] + 1))
+        ];
+        expect(await waterfall(tasks)).to.equal(1);
+    });
+
+    it('should resolve with every value of a multi-value last task', async () => {
+        expect(await waterfall([(callback) => callback(null, 1, 2)])).to.deep.equal([1, 2]);
+        expect(await waterfall([])).to.be.undefined;
+    });
+
+    it('should reject with the first error and skip the remaining tasks', async () => {
+        let reached = false;
+        try {
+            await waterfall([
+                (callback) => callback(new Error('step failed')),
+                (value, callback) => {
+                    reached = true;
+                    callback(null, value);
+                }
+            ]);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('step failed');
+        }
+        expect(reached).to.be.false;
+    });
+});
+
+describe('auto', () => {
+    it('should pass dependency results and resolve with every result', async () => {
+        const results = await auto({
+            config: () => delay(5, {env: 'prod'}),
+            build: (callback) => setTimeout(callback, 1, null, 'artifact'),
+            upload: ['build', 'config', ({build, config}) => delay(1, `${build}@${config.env}`)],
+            notify: ['upload', ({upload}, callback) => callback(null, `sent ${upload}`)]
+        });
+        expect(results).to.deep.equal({
+            config: {env: 'prod'},
+            build: 'artifact',
+            upload: 'artifact@prod',
+            notify: 'sent artifact@prod'
+        });
+    });
+
+    it('should start tasks as soon as their dependencies are met, within the concurrency limit', async () => {
+        const order = [];
+        const task = (name, ms) => () => {
+            order.push(name);
+            return delay(ms, name);
+        };
+        await auto({
+            slow: () => task('slow', 20)().then(() => order.push('slow done')),
+            fast: task('fast', 1),
+            third: task('third', 1),
+            afterFast: ['fast', task('afterFast', 1)]
+        }, {concurrency: 2});
+        expect(order).to.deep.equal(['slow', 'fast', 'third', 'afterFast', 'slow done']);
+    });
+
+    it('should detect missing dependencies and cycles before starting', async () => {
+        let started = false;
+        const task = () => {
+            started = true;
+            return Promise.resolve();
+        };
+        try {
+            await auto({a: ['missing', task]});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.contain('unknown task "missing"');
+        }
+        try {
+            await auto({start: task, a: ['c', task], b: ['a', task], c: ['b', task]});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('Dependency cycle between tasks: a, b, c');
+        }
+        expect(started).to.be.false;
+    });
+
+    it('should report completed, failed and skipped branches', async () => {
+        try {
+            await auto({
+                ok: () => delay(5, 'ok'),
+                broken: () => Promise.reject(new Error('disk full')),
+                afterBroken: ['broken', () => Promise.resolve()],
+                afterOk: ['ok', () => Promise.resolve()]
+            }, {concurrency: 2});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.task).to.equal('broken');
+            expect(err.cause.message).to.equal('disk full');
+            expect(err.completed).to.deep.equal(['ok']);
+            expect(err.failed).to.deep.equal(['broken']);
+            expect(err.skipped).to.deep.equal(['afterBroken', 'afterOk']);
+            expect(err.results).to.deep.equal({ok: 'ok'});
+        }
     });
 });
 
@@ -117,6 +592,69 @@ describe('queue', () => {
         const results = await queue(tasks, 2);
         expect(results).to.deep.equal([3, 7, 11]);
     });
+
+    const delayed = (ms, value, fail) => () => new Promise((resolve, reject) => {
+        setTimeout(() => (fail ? reject(new Error(value)) : resolve(value)), ms);
+    });
+
+    it('should return results in task order regardless of completion order', async () => {
+        const results = await queue([delayed(30, 'a'), delayed(5, 'b'), delayed(10, 'c')], 3);
+        expect(results).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should stop scheduling new tasks after the first failure in fail-fast mode', async () => {
+        const started = [];
+        const task = (name, fail) => () => {
+            started.push(name);
+            return delayed(5, name, fail)();
+        };
+        try {
+            await queue([task('a', true), task('b'), task('c')], 1);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('a');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(started).to.deep.equal(['a']);
+    });
+
+    it('should run every task and report indexed failures in continue mode', async () => {
+        try {
+            await queue([delayed(5, 'a'), delayed(1, 'b', true), delayed(3, 'c'), delayed(2, 'd', true)], 2, {errorMode: 'continue'});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AggregateError);
+            expect(err.errors.map(e => e.message)).to.deep.equal(['b', 'd']);
+            expect(err.failures.map(f => f.index)).to.deep.equal([1, 3]);
+            expect(err.results).to.deep.equal(['a', undefined, 'c', undefined]);
+        }
+    });
+
+    it('should order errors by task index, not by when they failed', async () => {
+        try {
+            await queue([delayed(10, 'a', true), delayed(1, 'b', true)], 2, {errorMode: 'continue'});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.errors.map(e => e.message)).to.deep.equal(['a', 'b']);
+            err.failures.forEach((failure, i) => expect(err.errors[i]).to.equal(failure.reason));
+        }
+    });
+
+    it('should resolve with allSettled-style records in settle mode', async () => {
+        const results = await queue([delayed(5, 'a'), delayed(1, 'b', true)], 2, {errorMode: 'settle'});
+        expect(results[0]).to.deep.equal({status: 'fulfilled', value: 'a'});
+        expect(results[1].status).to.equal('rejected');
+        expect(results[1].reason.message).to.equal('b');
+    });
+
+    it('should reject an unknown errorMode', async () => {
+        try {
+            await queue([], 1, {errorMode: 'ignore'});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err).to.be.instanceOf(TypeError);
+        }
+    });
 });
 //////////////////////////////
 
@@ -127,6 +665,15 @@ describe('map', () => {
         const results = await map(items, mapper, 2);
         expect(results).to.deep.equal([2, 3, 4]);
     });
+
+    it('should align results with items and support error modes', async () => {
+        const mapper = (item) => new Promise((resolve, reject) => {
+            setTimeout(() => (item < 0 ? reject(new Error('negative')) : resolve(item * 2)), 10 - item);
+        });
+        expect(await map([1, 5, 3], mapper, 3)).to.deep.equal([2, 10, 6]);
+        const settled = await map([1, -1], mapper, 2, {errorMode: 'settle'});
+        expect(settled.map(result => result.status)).to.deep.equal(['fulfilled', 'rejected']);
+    });
 });
 
 describe('reduce', () => {
@@ -191,6 +738,82 @@ describe('props', () => {
             c: 6
         });
     });
+
+    it('should resolve Maps to Maps', async () => {
+        const result = await props(new Map([['a', examplePromiseFunc(1, 1)], [{id: 1}, 'plain']]));
+        expect(result).to.be.instanceOf(Map);
+        expect([...result.values()]).to.deep.equal([2, 'plain']);
+    });
+
+    it('should resolve nested structures when deep is set', async () => {
+        const input = {
+            user: {name: delay(1, 'Ada'), roles: [delay(2, 'admin'), 'dev']},
+            settings: new Map([['theme', delay(1, 'dark')]]),
+            createdAt: new Date(0)
+        };
+        const result = await props(input, {deep: true});
+        expect(result.user).to.deep.equal({name: 'Ada', roles: ['admin', 'dev']});
+        expect(result.settings.get('theme')).to.equal('dark');
+        expect(result.createdAt).to.equal(input.createdAt);
+        const shallow = await props({nested: {value: 1}});
+        expect(shallow.nested).to.deep.equal({value: 1});
+    });
+
+    it('should run thunks under the concurrency limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const lookup = value => async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(2);
+            running--;
+            return value;
+        };
+        const result = await props({a: lookup(1), b: lookup(2), c: lookup(3), d: lookup(4)}, {concurrency: 2});
+        expect(result).to.deep.equal({a: 1, b: 2, c: 3, d: 4});
+        expect(maxRunning).to.equal(2);
+    });
+
+    it('should reject on the first failure', async () => {
+        try {
+            await props({a: Promise.reject(new Error('lookup failed')), b: delay(1, 'b')});
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('lookup failed');
+        }
+    });
+
+    it('should handle every rejected value, not only the first', async () => {
+        const unhandled = await unhandledRejectionsOf(async () => {
+            const failing = [1, 2, 3].map(n => Promise.reject(new Error(`e${n}`)));
+            try {
+                await props({a: failing[0], b: failing[1], c: failing[2]});
+                expect.fail('should have rejected');
+            } catch (err) {
+                expect(err.message).to.equal('e1');
+            }
+        });
+        expect(unhandled).to.deep.equal([]);
+    });
+});
+
+describe('propsSettled', () => {
+    it('should return a record per key', async () => {
+        const result = await propsSettled({
+            a: Promise.resolve('a'),
+            b: () => Promise.reject(new Error('b failed')),
+            c: 'c'
+        });
+        expect(result.a).to.deep.equal({status: 'fulfilled', value: 'a'});
+        expect(result.b.status).to.equal('rejected');
+        expect(result.b.reason.message).to.equal('b failed');
+        expect(result.c).to.deep.equal({status: 'fulfilled', value: 'c'});
+    });
+
+    it('should record nested values when deep is set', async () => {
+        const result = await propsSettled(new Map([['user', {name: Promise.reject(new Error('missing'))}]]), {deep: true});
+        expect(result.get('user').name.status).to.equal('rejected');
+    });
 });
 
 describe('each', () => {
@@ -204,3 +827,1774 @@ describe('each', () => {
         expect(results).to.deep.equal([2, 3, 4]);
     });
 });
+
+describe('cancellation', () => {
+    it('should reject a cancelled call right away and run cleanup hooks', async () => {
+        let cleanedUp = false;
+        const slowFunc = callbackToPromiseWithCancellation((value, callback) => {
+            const timer = setTimeout(() => callback(null, value), 1000);
+            callback.onCancel(() => {
+                clearTimeout(timer);
+                cleanedUp = true;
+            });
+        });
+        const promise = slowFunc('value');
+        promise.cancel('no longer needed');
+        try {
+            await promise;
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+            expect(err.cause).to.equal('no longer needed');
+        }
+        expect(cleanedUp).to.be.true;
+    });
+
+    it('should resolve normally when not cancelled', async () => {
+        const promiseFunc = callbackToPromiseWithCancellation(exampleCallbackFunc);
+        expect(await promiseFunc(1, 2)).to.equal(3);
+    });
+
+    it('should follow an external signal', async () => {
+        const token = new CancellationToken();
+        const promiseFunc = callbackToPromiseWithCancellation((callback) => {
+            expect(callback.signal.aborted).to.be.false;
+        });
+        const promise = promiseFunc.withSignal(token.signal)();
+        token.cancel();
+        try {
+            await promise;
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+    });
+
+    it('should cancel linked tokens when a source is cancelled', () => {
+        const parent = new CancellationToken();
+        const controller = new AbortController();
+        const linked = CancellationToken.linked(parent, controller.signal);
+        expect(linked.isCancelled).to.be.false;
+        controller.abort();
+        expect(linked.isCancelled).to.be.true;
+        expect(() => linked.throwIfCancelled()).to.throw(AbortError);
+    });
+
+    it('should stop following sources once cancelled or disposed', async () => {
+        const controller = new AbortController();
+        for (let i = 0; i < 5; i++) {
+            CancellationToken.linked(controller.signal).cancel();
+        }
+        CancellationToken.linked(controller.signal).dispose();
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+
+        const fn = callbackToPromiseWithCancellation(callback => setImmediate(() => callback(null, 'done')));
+        expect(await fn.withSignal(controller.signal)()).to.equal('done');
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should cancel timeout tokens after the delay', async () => {
+        const token = CancellationToken.timeout(10);
+        let reason;
+        token.onCancel(err => {
+            reason = err;
+        });
+        await delay(20);
+        expect(reason).to.be.instanceOf(AbortError);
+        expect(reason.message).to.contain('timed out');
+    });
+
+    it('should stop series from scheduling new tasks and pass the signal', async () => {
+        const token = new CancellationToken();
+        const started = [];
+        const task = (value) => ({signal}) => {
+            started.push(value);
+            expect(signal).to.equal(token.signal);
+            return delay(10, value);
+        };
+        const promise = series([task(1), task(2), task(3)], {signal: token.signal});
+        setTimeout(() => token.cancel(), 15);
+        try {
+            await promise;
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        await delay(30);
+        expect(started).to.deep.equal([1, 2]);
+    });
+
+    it('should not start parallel tasks with an aborted signal', async () => {
+        const token = new CancellationToken();
+        token.cancel();
+        let started = false;
+        try {
+            await parallel([() => {
+                started = true;
+                return delay(1);
+            }], {signal: token.signal});
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        expect(started).to.be.false;
+    });
+
+    it('should stop queue and map from scheduling new tasks', async () => {
+        const token = new CancellationToken();
+        const seen = [];
+        const promise = map([1, 2, 3, 4], (item, {signal}) => {
+            seen.push(item);
+            expect(signal).to.equal(token.signal);
+            return delay(10, item);
+        }, 2, {signal: token.signal});
+        setTimeout(() => token.cancel(), 5);
+        try {
+            await promise;
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        await delay(30);
+        expect(seen).to.deep.equal([1, 2]);
+    });
+
+    it('should stop each and reduce when the signal aborts', async () => {
+        const token = new CancellationToken();
+        const visited = [];
+        const eachPromise = each([1, 2, 3], (item) => {
+            visited.push(item);
+            if (item === 1) {
+                token.cancel();
+            }
+        }, {signal: token.signal});
+        const reducePromise = reduce([1, 2, 3], (acc, item) => acc + item, 0, {signal: token.signal});
+        const results = await allSettled([eachPromise, reducePromise]);
+        expect(results.map(result => result.reason)).to.satisfy(reasons => reasons.every(r => r instanceof AbortError));
+        expect(visited).to.deep.equal([1]);
+    });
+});
+
+describe('createQueue', () => {
+    it('should run tasks pushed while running and resolve each push', async () => {
+        const q = createQueue({concurrency: 2});
+        const first = q.push(() => delay(10, 'a'));
+        await delay(5);
+        const second = q.push(() => delay(5, 'b'));
+        expect(await Promise.all([first, second])).to.deep.equal(['a', 'b']);
+        await q.onIdle();
+        expect(q.isIdle).to.be.true;
+    });
+
+    it('should run higher priorities first and keep FIFO order among equal priorities', async () => {
+        const q = createQueue({concurrency: 1, autoStart: false});
+        const order = [];
+        const task = name => () => {
+            order.push(name);
+            return Promise.resolve();
+        };
+        q.push(task('low-1'), 0);
+        q.push(task('high-1'), 5);
+        q.push(task('low-2'), 0);
+        q.push(task('high-2'), 5);
+        q.resume();
+        await q.onIdle();
+        expect(order).to.deep.equal(['high-1', 'high-2', 'low-1', 'low-2']);
+    });
+
+    it('should age waiting tasks so low priorities are not starved', async () => {
+        const q = createQueue({concurrency: 1, aging: 5, autoStart: false});
+        const order = [];
+        q.push(() => order.push('old-low'), 0);
+        await delay(30);
+        q.push(() => order.push('new-high'), 2);
+        q.resume();
+        await q.onIdle();
+        expect(order).to.deep.equal(['old-low', 'new-high']);
+    });
+
+    it('should pause, resume and honour a changed concurrency limit', async () => {
+        const q = createQueue({concurrency: 1});
+        let maxRunning = 0;
+        const task = () => {
+            maxRunning = Math.max(maxRunning, q.running);
+            return delay(5);
+        };
+        q.pause();
+        for (let i = 0; i < 6; i++) {
+            q.push(task);
+        }
+        await delay(10);
+        expect(q.running).to.equal(0);
+        expect(q.size).to.equal(6);
+        q.concurrency = 3;
+        q.resume();
+        await q.onIdle();
+        expect(maxRunning).to.equal(3);
+    });
+
+    it('should emit saturated, drain, idle and error events', async () => {
+        const q = createQueue({concurrency: 1});
+        const events = [];
+        ['saturated', 'drain', 'idle'].forEach(name => q.on(name, () => events.push(name)));
+        q.on('error', err => events.push(`error:${err.message}`));
+        const failing = q.push(() => Promise.reject(new Error('boom')));
+        q.push(() => delay(1));
+        await failing.catch(() => {});
+        await q.onIdle();
+        expect(events).to.deep.equal(['drain', 'saturated', 'error:boom', 'drain', 'saturated', 'idle']);
+    });
+
+    it('should remove its abort listener when disposed or aborted', async () => {
+        const controller = new AbortController();
+        const queues = [1, 2, 3].map(() => createQueue({signal: controller.signal}));
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(3);
+        queues.forEach(q => q.dispose());
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+
+        const q = createQueue({signal: controller.signal, autoStart: false});
+        const waiting = q.push(() => delay(1)).catch(err => err);
+        controller.abort();
+        expect(await waiting).to.be.instanceOf(AbortError);
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+});
+
+describe('retry', () => {
+    function flaky(failures, value = 'ok') {
+        let calls = 0;
+        const func = () => {
+            calls++;
+            return calls <= failures ? Promise.reject(new Error(`failure ${calls}`)) : Promise.resolve(value);
+        };
+        func.calls = () => calls;
+        return func;
+    }
+
+    it('should retry a promise function until it succeeds', async () => {
+        const func = flaky(2);
+        const result = await retry(func, {minDelay: 1})();
+        expect(result).to.equal('ok');
+        expect(func.calls()).to.equal(3);
+    });
+
+    it('should retry callback-based functions and pass arguments through', async () => {
+        let calls = 0;
+        const callbackFunc = (a, b, callback) => {
+            calls++;
+            if (calls === 1) {
+                return callback(new Error('flaky'));
+            }
+            exampleCallbackFunc(a, b, callback);
+        };
+        expect(await retry(callbackFunc, {callback: true, minDelay: 1})(1, 2)).to.equal(3);
+        expect(calls).to.equal(2);
+    });
+
+    it('should reject with the last error after maxAttempts', async () => {
+        const func = flaky(5);
+        try {
+            await retry(func, {maxAttempts: 2, minDelay: 1})();
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('failure 2');
+        }
+        expect(func.calls()).to.equal(2);
+    });
+
+    it('should compute delays for each backoff strategy and call onRetry', async () => {
+        const delaysFor = async (backoff) => {
+            const delays = [];
+            await retry(flaky(3), {
+                backoff,
+                minDelay: 2,
+                maxDelay: 7,
+                maxAttempts: 4,
+                onRetry: (err, attempt, delay) => delays.push(delay)
+            })();
+            return delays;
+        };
+        expect(await delaysFor('fixed')).to.deep.equal([2, 2, 2]);
+        expect(await delaysFor('linear')).to.deep.equal([2, 4, 6]);
+        expect(await delaysFor('exponential')).to.deep.equal([2, 4, 7]);
+        expect(await delaysFor(attempt => attempt)).to.deep.equal([1, 2, 3]);
+        const jitter = await delaysFor('decorrelated-jitter');
+        expect(jitter.every(delay => delay >= 2 && delay <= 7)).to.be.true;
+    });
+
+    it('should stop when shouldRetry returns false or maxElapsed is exceeded', async () => {
+        const func = flaky(5);
+        await retry(func, {minDelay: 1, shouldRetry: (err, attempt) => attempt < 2})().catch(() => {});
+        expect(func.calls()).to.equal(2);
+
+        const slow = flaky(5);
+        await retry(slow, {backoff: 'fixed', minDelay: 50, maxAttempts: 10, maxElapsed: 20})().catch(() => {});
+        expect(slow.calls()).to.equal(1);
+    });
+
+    it('should stop retrying when the signal aborts', async () => {
+        const token = new CancellationToken();
+        const func = flaky(5);
+        setTimeout(() => token.cancel(), 10);
+        try {
+            await retry(func, {backoff: 'fixed', minDelay: 50, signal: token.signal})();
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        expect(func.calls()).to.equal(1);
+    });
+
+    it('should apply a per-task retry policy in series and queue', async () => {
+        const seriesTask = flaky(1, 'series');
+        const queueTask = flaky(2, 'queue');
+        expect(await series([seriesTask], {retry: {minDelay: 1}})).to.deep.equal(['series']);
+        expect(await queue([queueTask, () => Promise.resolve('other')], 2, {retry: {minDelay: 1}})).to.deep.equal(['queue', 'other']);
+    });
+});
+
+describe('timeout', () => {
+    it('should resolve when the work settles in time', async () => {
+        expect(await timeout(delay(5, 'done'), 50)).to.equal('done');
+    });
+
+    it('should reject with a TimeoutError and a custom message', async () => {
+        try {
+            await timeout(delay(50), 5, {message: 'too slow'});
+            expect.fail('should have timed out');
+        } catch (err) {
+            expect(err).to.be.instanceOf(TimeoutError);
+            expect(err.message).to.equal('too slow');
+        }
+    });
+
+    it('should resolve with a fallback value or function', async () => {
+        expect(await timeout(delay(50), 5, {fallback: 'cached'})).to.equal('cached');
+        expect(await timeout(delay(50), 5, {fallback: err => err.name})).to.equal('TimeoutError');
+    });
+
+    it('should abort the signal handed to a timed-out function', async () => {
+        let taskSignal;
+        await timeout(({signal}) => {
+            taskSignal = signal;
+            return delay(50);
+        }, 5).catch(() => {});
+        expect(taskSignal.aborted).to.be.true;
+    });
+
+    it('should apply taskTimeout in series, parallel, waterfall and queue', async () => {
+        const slow = () => delay(50);
+        const fast = () => delay(1, 'fast');
+        const runs = [
+            series([fast, slow], {taskTimeout: 10}),
+            parallel([fast, slow], {taskTimeout: 10}),
+            waterfall([(callback) => setTimeout(callback, 50)], {taskTimeout: 10}),
+            queue([fast, slow], 2, {taskTimeout: 10}),
+            map([1, 50], (ms) => delay(ms), 2, {taskTimeout: 10})
+        ];
+        const results = await allSettled(runs);
+        results.forEach(result => expect(result.reason).to.be.instanceOf(TimeoutError));
+        expect(await queue([fast], 1, {taskTimeout: 10})).to.deep.equal(['fast']);
+    });
+
+    it('should bound the whole run and stop scheduling tasks', async () => {
+        const started = [];
+        const task = value => ({signal}) => {
+            started.push(value);
+            return delay(10, value);
+        };
+        try {
+            await series([task(1), task(2), task(3)], {timeout: 15});
+            expect.fail('should have timed out');
+        } catch (err) {
+            expect(err).to.be.instanceOf(TimeoutError);
+        }
+        await delay(30);
+        expect(started).to.deep.equal([1, 2]);
+    });
+
+    it('should not leave listeners on the caller signal', async () => {
+        const controller = new AbortController();
+        const tasks = Array.from({length: 12}, (_, index) => () => Promise.resolve(index));
+        await series(tasks, {signal: controller.signal, taskTimeout: 100});
+        await queue(tasks, 3, {signal: controller.signal, taskTimeout: 100});
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should clear the timer and skip the fallback when the signal aborts', async () => {
+        const controller = new AbortController();
+        let fallbackCalls = 0;
+        const pending = timeout(delay(40), 30, {signal: controller.signal, fallback: () => fallbackCalls++});
+        setTimeout(() => controller.abort(), 5);
+        try {
+            await pending;
+            expect.fail('should have been aborted');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        await delay(40);
+        expect(fallbackCalls).to.equal(0);
+    });
+
+    it('should abort the signal of a timed-out waterfall step', async () => {
+        let stepSignal;
+        try {
+            await waterfall([(callback) => {
+                stepSignal = callback.signal;
+                setTimeout(callback, 30);
+            }], {taskTimeout: 5});
+            expect.fail('should have timed out');
+        } catch (err) {
+            expect(err).to.be.instanceOf(TimeoutError);
+        }
+        expect(stepSignal.aborted).to.equal(true);
+    });
+});
+
+describe('createRateLimiter', () => {
+    it('should allow a burst then refill a token bucket over time', async () => {
+        const limiter = createRateLimiter({limit: 2, interval: 40, burst: 3});
+        expect([limiter.tryAcquire(), limiter.tryAcquire(), limiter.tryAcquire(), limiter.tryAcquire()])
+            .to.deep.equal([true, true, true, false]);
+        const startedAt = Date.now();
+        await limiter.acquire();
+        expect(Date.now() - startedAt).to.be.at.least(15);
+    });
+
+    it('should allow at most limit permits per sliding window', async () => {
+        const limiter = createRateLimiter({strategy: 'sliding-window', limit: 2, interval: 30});
+        const times = [];
+        const startedAt = Date.now();
+        await Promise.all([1, 2, 3, 4].map(() => limiter.acquire().then(() => times.push(Date.now() - startedAt))));
+        expect(times[1]).to.be.below(15);
+        expect(times[2]).to.be.at.least(25);
+        expect(times[3]).to.be.at.least(25);
+    });
+
+    it('should wrap promise functions and callbackToPromise-converted functions', async () => {
+        const limiter = createRateLimiter({limit: 1, interval: 20});
+        const wrapped = limiter.wrap(callbackToPromise(exampleCallbackFunc));
+        const startedAt = Date.now();
+        expect(await Promise.all([wrapped(1, 2), wrapped(3, 4)])).to.deep.equal([3, 7]);
+        expect(Date.now() - startedAt).to.be.at.least(15);
+    });
+
+    it('should enforce one shared budget across runners', async () => {
+        const limiter = createRateLimiter({limit: 2, interval: 30});
+        const startedAt = Date.now();
+        const task = () => delay(0, Date.now() - startedAt);
+        const [first, second] = await Promise.all([
+            queue([task, task], 2, {rateLimit: limiter}),
+            map([1, 2], () => task(), 2, {rateLimit: limiter})
+        ]);
+        const times = first.concat(second).sort((a, b) => a - b);
+        expect(times[1]).to.be.below(15);
+        expect(times[3]).to.be.at.least(25);
+    });
+
+    it('should accept limiter options in queue and stop waiting on abort', async () => {
+        expect(await queue([() => Promise.resolve(1)], 1, {rateLimit: {limit: 5}})).to.deep.equal([1]);
+        const limiter = createRateLimiter({limit: 1, interval: 1000});
+        limiter.tryAcquire();
+        const token = new CancellationToken();
+        const waiting = limiter.acquire(token.signal);
+        token.cancel();
+        try {
+            await waiting;
+            expect.fail('should have been cancelled');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AbortError);
+        }
+        expect(limiter.pending).to.equal(0);
+    });
+});
+
+describe('circuitBreaker', () => {
+    const failing = () => Promise.reject(new Error('down'));
+
+    it('should pass calls through while closed', async () => {
+        const breaker = circuitBreaker(examplePromiseFunc);
+        expect(await breaker.fire(1, 2)).to.equal(3);
+        expect(breaker.stats()).to.include({state: 'closed', successes: 1, failures: 0});
+    });
+
+    it('should open once the failure rate and volume thresholds are reached', async () => {
+        const breaker = circuitBreaker(failing, {volumeThreshold: 3, failureThreshold: 0.5});
+        const changes = [];
+        breaker.on('stateChange', (state, previous) => changes.push(`${previous}->${state}`));
+        for (let i = 0; i < 3; i++) {
+            await breaker.fire().catch(() => {});
+        }
+        expect(breaker.state).to.equal('open');
+        expect(changes).to.deep.equal(['closed->open']);
+        try {
+            await breaker.fire();
+            expect.fail('should have been rejected');
+        } catch (err) {
+            expect(err).to.be.instanceOf(CircuitOpenError);
+        }
+        expect(breaker.stats().lifetime.rejections).to.equal(1);
+    });
+
+    it('should stay closed below the volume threshold', async () => {
+        const breaker = circuitBreaker(failing, {volumeThreshold: 5});
+        await breaker.fire().catch(() => {});
+        await breaker.fire().catch(() => {});
+        expect(breaker.state).to.equal('closed');
+    });
+
+    it('should close after a successful trial call once half-open', async () => {
+        let healthy = false;
+        const func = () => (healthy ? Promise.resolve('up') : failing());
+        const breaker = circuitBreaker(func, {volumeThreshold: 1, resetTimeout: 10});
+        await breaker.fire().catch(() => {});
+        expect(breaker.state).to.equal('open');
+        await delay(15);
+        expect(breaker.state).to.equal('half-open');
+        healthy = true;
+        const trial = breaker.fire();
+        await breaker.fire().catch(err => expect(err).to.be.instanceOf(CircuitOpenError));
+        expect(await trial).to.equal('up');
+        expect(breaker.state).to.equal('closed');
+    });
+
+    it('should reopen after a failed trial call', async () => {
+        const breaker = circuitBreaker(failing, {volumeThreshold: 1, resetTimeout: 10});
+        await breaker.fire().catch(() => {});
+        await delay(15);
+        await breaker.fire().catch(() => {});
+        expect(breaker.state).to.equal('open');
+    });
+
+    it('should use the fallback for failed and short-circuited calls', async () => {
+        const breaker = circuitBreaker(failing, {volumeThreshold: 1, fallback: (err, id) => `cached ${id}`});
+        expect(await breaker.fire(1)).to.equal('cached 1');
+        expect(breaker.state).to.equal('open');
+        expect(await breaker.fire(2)).to.equal('cached 2');
+    });
+
+    it('should count timed-out calls as failures', async () => {
+        const breaker = circuitBreaker(() => delay(50), {timeout: 5, volumeThreshold: 1});
+        await breaker.fire().catch(err => expect(err).to.be.instanceOf(TimeoutError));
+        expect(breaker.state).to.equal('open');
+    });
+
+    it('should wrap callback functions and work with promiseToCallback', (done) => {
+        const breaker = circuitBreaker(exampleCallbackFunc, {callback: true});
+        const callbackFunc = promiseToCallback(breaker.fire);
+        callbackFunc(1, 2, (err, result) => {
+            expect(err).to.be.null;
+            expect(result).to.equal(3);
+            done();
+        });
+    });
+});
+
+describe('iterables and streams', () => {
+    async function* numbers(count, pulled = []) {
+        for (let i = 1; i <= count; i++) {
+            pulled.push(i);
+            yield i;
+        }
+    }
+
+    it('should accept sync iterables, async iterables and Readable streams in map', async () => {
+        const double = item => delay(1, item * 2);
+        expect(await map(new Set([1, 2, 3]), double, 2)).to.deep.equal([2, 4, 6]);
+        expect(await map(numbers(3), double, 2)).to.deep.equal([2, 4, 6]);
+        expect(await map(Readable.from([1, 2, 3]), double, 2)).to.deep.equal([2, 4, 6]);
+    });
+
+    it('should accept iterables in queue, each and reduce', async () => {
+        function* tasks() {
+            yield () => delay(5, 'a');
+            yield () => delay(1, 'b');
+        }
+        expect(await queue(tasks(), 2)).to.deep.equal(['a', 'b']);
+
+        const seen = [];
+        await each(numbers(3), item => {
+            seen.push(item);
+        });
+        expect(seen).to.deep.equal([1, 2, 3]);
+
+        expect(await reduce(Readable.from([1, 2, 3]), (acc, item) => delay(1, acc + item), 0)).to.equal(6);
+    });
+
+    it('should pull items lazily under the concurrency limit', async () => {
+        const pulled = [];
+        let maxAhead = 0;
+        let done = 0;
+        await map(numbers(10, pulled), item => {
+            maxAhead = Math.max(maxAhead, pulled.length - done);
+            return delay(2).then(() => {
+                done++;
+            });
+        }, 2);
+        expect(maxAhead).to.be.at.most(2);
+    });
+
+    it('should stop pulling and close the source on the first failure', async () => {
+        const pulled = [];
+        let closed = false;
+        const source = (async function* () {
+            try {
+                yield* numbers(100, pulled);
+            } finally {
+                closed = true;
+            }
+        })();
+        try {
+            await map(source, item => (item === 3 ? Promise.reject(new Error('bad row')) : delay(1)), 2);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('bad row');
+        }
+        await delay(5);
+        expect(closed).to.be.true;
+        expect(pulled.length).to.be.below(10);
+    });
+
+    it('should yield mapped values as soon as they are ready', async () => {
+        const results = [];
+        for await (const value of mapIterator([30, 5, 15], ms => delay(ms, ms), 3)) {
+            results.push(value);
+        }
+        expect(results).to.deep.equal([5, 15, 30]);
+    });
+
+    it('should stop the source when the consumer exits early', async () => {
+        const pulled = [];
+        for await (const value of mapIterator(numbers(100, pulled), item => delay(1, item), 2)) {
+            if (value === 2) {
+                break;
+            }
+        }
+        await delay(10);
+        expect(pulled.length).to.be.below(10);
+    });
+
+    it('should throw mapper failures from the iterator', async () => {
+        try {
+            for await (const value of mapIterator([1, 2], item => (item === 2 ? Promise.reject(new Error('boom')) : delay(1, item)), 1)) {
+                expect(value).to.equal(1);
+            }
+            expect.fail('should have thrown');
+        } catch (err) {
+            expect(err.message).to.equal('boom');
+        }
+    });
+
+    it('should expose results as a Readable stream', async () => {
+        const stream = mapStream(Readable.from(['a', 'b']), item => delay(1, item.toUpperCase()), 2);
+        expect(stream).to.be.instanceOf(Readable);
+        const results = [];
+        for await (const value of stream) {
+            results.push(value);
+        }
+        expect(results.sort()).to.deep.equal(['A', 'B']);
+    });
+});
+
+describe('collection helpers', () => {
+    const isEven = item => delay(10 - item, item % 2 === 0);
+
+    it('should filter and reject items in input order', async () => {
+        expect(await filter([1, 2, 3, 4, 5, 6], isEven, 3)).to.deep.equal([2, 4, 6]);
+        expect(await reject([1, 2, 3, 4, 5, 6], isEven)).to.deep.equal([1, 3, 5]);
+    });
+
+    it('should respect the concurrency limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        await filter([1, 2, 3, 4, 5], async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(2);
+            running--;
+            return true;
+        }, 2);
+        expect(maxRunning).to.equal(2);
+    });
+
+    it('should find the first match in input order and stop scheduling predicates', async () => {
+        const checked = [];
+        const result = await find([1, 2, 3, 4, 5, 6], item => {
+            checked.push(item);
+            return delay(item === 2 ? 20 : 1, item >= 2);
+        }, 2);
+        expect(result).to.equal(2);
+        expect(checked).to.not.include(6);
+        expect(await find([1, 3], isEven)).to.be.undefined;
+    });
+
+    it('should stop some and every once the answer is known', async () => {
+        const checked = [];
+        const predicate = item => {
+            checked.push(item);
+            return delay(1, item === 2);
+        };
+        expect(await some([1, 2, 3, 4, 5], predicate, 1)).to.be.true;
+        expect(checked).to.deep.equal([1, 2]);
+        expect(await some([1, 3], isEven)).to.be.false;
+
+        expect(await every([2, 4, 6], isEven, 2)).to.be.true;
+        checked.length = 0;
+        expect(await every([2, 3, 4, 6], item => {
+            checked.push(item);
+            return isEven(item);
+        }, 1)).to.be.false;
+        expect(checked).to.deep.equal([2, 3]);
+    });
+
+    it('should abort the signal of running predicates once the answer is known', async () => {
+        let slowSignal;
+        await some([1, 2], (item, {signal}) => {
+            if (item === 1) {
+                slowSignal = signal;
+                return delay(50, false);
+            }
+            return true;
+        });
+        expect(slowSignal.aborted).to.be.true;
+    });
+
+    it('should not leave listeners on the caller signal', async () => {
+        const controller = new AbortController();
+        await find([1, 3], isEven, 1, {signal: controller.signal});
+        await find([1, 2], isEven, 1, {signal: controller.signal});
+        await every([2, 4], isEven, 1, {signal: controller.signal});
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should resolve some(promises, count) with the first fulfilled values', async () => {
+        const promises = [delay(20, 'slow'), Promise.reject(new Error('failed')), delay(1, 'fast'), delay(5, 'medium')];
+        expect(await some(promises, 2)).to.deep.equal(['fast', 'medium']);
+        try {
+            await some([Promise.reject(new Error('a')), Promise.reject(new Error('b')), delay(1, 'c')], 2);
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err).to.be.instanceOf(AggregateError);
+            expect(err.errors).to.have.length(2);
+        }
+    });
+
+    it('should sort by async keys stably', async () => {
+        const people = [{name: 'b', age: 30}, {name: 'a', age: 20}, {name: 'c', age: 30}];
+        const sorted = await sortBy(people, person => delay(1, person.age), 2);
+        expect(sorted.map(person => person.name)).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should group by async keys in input order', async () => {
+        const groups = await groupBy([1, 2, 3, 4], item => delay(5 - item, item % 2 === 0 ? 'even' : 'odd'), 2);
+        expect(groups).to.deep.equal({odd: [1, 3], even: [2, 4]});
+    });
+
+    it('should reject when a predicate fails', async () => {
+        try {
+            await filter([1, 2], () => Promise.reject(new Error('predicate failed')));
+            expect.fail('should have rejected');
+        } catch (err) {
+            expect(err.message).to.equal('predicate failed');
+        }
+    });
+});
+
+describe('instrumentation', () => {
+    it('should call per-call hooks with task names, labels and durations', async () => {
+        const events = [];
+        const fetchUser = () => delay(5, 'user');
+        const failing = () => Promise.reject(new Error('down'));
+        failing.taskName = 'fetchOrders';
+        failing.labels = {service: 'orders'};
+        await parallel([fetchUser, failing], {
+            name: 'dashboard',
+            labels: {service: 'web'},
+            onTaskStart: event => events.push(['start', event.taskName, event.index]),
+            onTaskEnd: event => events.push(['end', event.taskName, event.result, event.duration >= 0, event.labels.service]),
+            onTaskError: event => events.push(['error', event.taskName, event.error.message, event.name, event.labels.service])
+        }).catch(() => {});
+        await delay(10);
+        expect(events).to.deep.include.members([
+            ['start', 'fetchUser', 0],
+            ['start', 'fetchOrders', 1],
+            ['error', 'fetchOrders', 'down', 'dashboard', 'orders'],
+            ['end', 'fetchUser', 'user', true, 'web']
+        ]);
+    });
+
+    it('should call global hooks for every runner until removed', async () => {
+        const runners = [];
+        const remove = addInstrumentation({onTaskStart: event => runners.push(event.runner)});
+        const task = () => Promise.resolve(1);
+        await series([task]);
+        await parallel([task]);
+        await waterfall([task]);
+        await queue([task], 1);
+        await map([1], item => Promise.resolve(item), 1);
+        const q = createQueue();
+        await q.push(task);
+        remove();
+        await series([task]);
+        expect(runners).to.deep.equal(['series', 'parallel', 'waterfall', 'queue', 'map', 'workQueue']);
+    });
+
+    it('should publish task events to diagnostics_channel', async () => {
+        const received = [];
+        const onEnd = message => received.push(message.runner);
+        diagnosticsChannel.subscribe(taskChannelNames.end, onEnd);
+        try {
+            await series([() => Promise.resolve(1)]);
+        } finally {
+            diagnosticsChannel.unsubscribe(taskChannelNames.end, onEnd);
+        }
+        expect(received).to.deep.equal(['series']);
+    });
+
+    it('should report wait time and concurrency in use for queues', async () => {
+        const waits = [];
+        const q = createQueue({concurrency: 1, onTaskStart: event => waits.push([event.waitTime, event.active])});
+        q.push(() => delay(15));
+        await q.push(() => Promise.resolve());
+        expect(waits[0][1]).to.equal(1);
+        expect(waits[1][0]).to.be.at.least(10);
+    });
+
+    it('should collect counts, latency and wait time histograms', async () => {
+        const metrics = createMetricsCollector({buckets: [10, 100]});
+        await queue([
+            () => delay(1),
+            () => delay(20),
+            () => Promise.reject(new Error('failed'))
+        ], 2, Object.assign({errorMode: 'settle'}, metrics));
+        const snapshot = metrics.snapshot();
+        expect(snapshot).to.include({started: 3, succeeded: 2, failed: 1, active: 0, maxActive: 2});
+        expect(snapshot.latency.count).to.equal(3);
+        expect(snapshot.latency.buckets.map(bucket => bucket.le)).to.deep.equal([10, 100, Infinity]);
+        expect(snapshot.latency.buckets[1].count).to.equal(1);
+        expect(snapshot.waitTime.count).to.equal(3);
+        metrics.reset();
+        expect(metrics.snapshot().started).to.equal(0);
+    });
+});
+
+describe('Synchronization primitives', () => {
+    it('should run mutex sections one at a time in arrival order', async () => {
+        const mutex = new Mutex();
+        const order = [];
+        const section = (name, ms) => mutex.runExclusive(async () => {
+            order.push(`start ${name}`);
+            await delay(ms);
+            order.push(`end ${name}`);
+            return name;
+        });
+        const results = await Promise.all([section('a', 10), section('b', 1), section('c', 1)]);
+        expect(results).to.deep.equal(['a', 'b', 'c']);
+        expect(order).to.deep.equal(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+        expect(mutex.isLocked).to.equal(false);
+    });
+
+    it('should release the mutex when the section throws', async () => {
+        const mutex = new Mutex();
+        let error;
+        try {
+            await mutex.runExclusive(() => {
+                throw new Error('failed');
+            });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('failed');
+        expect(await mutex.runExclusive(() => 'next')).to.equal('next');
+    });
+
+    it('should limit semaphore holders and ignore repeated releases', async () => {
+        const semaphore = new Semaphore(2);
+        const first = await semaphore.acquire();
+        await semaphore.acquire();
+        expect(semaphore.available).to.equal(0);
+        expect(semaphore.tryAcquire()).to.equal(null);
+        const third = semaphore.acquire();
+        expect(semaphore.pending).to.equal(1);
+        first();
+        first();
+        const release = await third;
+        expect(semaphore.available).to.equal(0);
+        release();
+        expect(semaphore.available).to.equal(1);
+    });
+
+    it('should serve semaphore waiters by priority', async () => {
+        const semaphore = new Semaphore(1);
+        const release = await semaphore.acquire();
+        const order = [];
+        const low = semaphore.acquire({priority: 1}).then(next => order.push('low') && next());
+        const high = semaphore.acquire({priority: 5}).then(next => order.push('high') && next());
+        release();
+        await Promise.all([low, high]);
+        expect(order).to.deep.equal(['high', 'low']);
+    });
+
+    it('should time out and cancel waiting acquisitions without losing permits', async () => {
+        const semaphore = new Semaphore(1);
+        const release = await semaphore.acquire();
+        const controller = new AbortController();
+        const timedOut = semaphore.acquire({timeout: 10}).catch(err => err);
+        const aborted = semaphore.acquire({signal: controller.signal}).catch(err => err);
+        controller.abort();
+        expect(await aborted).to.be.instanceOf(AbortError);
+        expect(await timedOut).to.be.instanceOf(TimeoutError);
+        expect(semaphore.pending).to.equal(0);
+        release();
+        expect(semaphore.available).to.equal(1);
+    });
+
+    it('should share read access and give waiting writers precedence', async () => {
+        const lock = new ReadWriteLock();
+        const order = [];
+        const firstRead = await lock.acquireRead();
+        await lock.runRead(() => order.push('concurrent read'));
+        const write = lock.runWrite(() => order.push('write'));
+        const lateRead = lock.runRead(() => order.push('late read'));
+        firstRead();
+        await Promise.all([write, lateRead]);
+        expect(order).to.deep.equal(['concurrent read', 'write', 'late read']);
+    });
+
+    it('should let readers in when a waiting writer gives up', async () => {
+        const lock = new ReadWriteLock();
+        const read = await lock.acquireRead();
+        const write = lock.acquireWrite({timeout: 10}).catch(err => err);
+        const lateRead = lock.acquireRead();
+        expect(await write).to.be.instanceOf(TimeoutError);
+        (await lateRead)();
+        read();
+        expect(lock.readers).to.equal(0);
+    });
+
+    it('should release barrier parties together and reset for the next round', async () => {
+        const barrier = new Barrier(3);
+        const arrived = [];
+        const party = async name => {
+            await barrier.wait();
+            arrived.push(name);
+        };
+        const first = party('a');
+        const second = party('b');
+        await delay(5);
+        expect(arrived).to.deep.equal([]);
+        expect(barrier.waiting).to.equal(2);
+        await Promise.all([first, second, party('c')]);
+        expect(arrived).to.have.members(['a', 'b', 'c']);
+        expect(barrier.waiting).to.equal(0);
+    });
+
+    it('should open a latch once counted down', async () => {
+        const latch = new Latch(2);
+        let opened = false;
+        const waiting = latch.wait().then(() => {
+            opened = true;
+        });
+        latch.countDown();
+        await delay(1);
+        expect(opened).to.equal(false);
+        latch.countDown();
+        await waiting;
+        expect(opened).to.equal(true);
+        expect(latch.count).to.equal(0);
+        await latch.wait();
+    });
+});
+
+describe('batch', () => {
+    it('should send loads from the same tick as one call and return values in order', async () => {
+        const calls = [];
+        const loader = batch(keys => {
+            calls.push(keys);
+            return Promise.resolve(keys.map(key => key * 10));
+        });
+        const values = await Promise.all([loader.load(1), loader.load(2), loader.load(3)]);
+        expect(values).to.deep.equal([10, 20, 30]);
+        expect(calls).to.deep.equal([[1, 2, 3]]);
+    });
+
+    it('should include loads chained on promises resolved in the same tick', async () => {
+        const calls = [];
+        const loader = batch(keys => {
+            calls.push(keys);
+            return Promise.resolve(keys);
+        });
+        await Promise.all([loader.load('a'), Promise.resolve().then(() => loader.load('b'))]);
+        expect(calls).to.deep.equal([['a', 'b']]);
+    });
+
+    it('should deduplicate keys waiting for a batch and in flight', async () => {
+        const calls = [];
+        const loader = batch(async keys => {
+            calls.push(keys);
+            await delay(10);
+            return keys.map(key => ({id: key}));
+        });
+        const first = loader.load(1);
+        expect(loader.load(1)).to.equal(first);
+        await delay(1);
+        const inFlight = loader.load(1);
+        expect(inFlight).to.equal(first);
+        await first;
+        await loader.load(1);
+        expect(calls).to.deep.equal([[1], [1]]);
+    });
+
+    it('should deduplicate keys by cacheKey', async () => {
+        const calls = [];
+        const loader = batch(keys => {
+            calls.push(keys.map(key => key.id));
+            return Promise.resolve(keys.map(key => key.id));
+        }, {cacheKey: key => key.id});
+        await loader.loadMany([{id: 1}, {id: 1}, {id: 2}]);
+        expect(calls).to.deep.equal([[1, 2]]);
+    });
+
+    it('should split batches at maxBatchSize and collect keys over a window', async () => {
+        const calls = [];
+        const loader = batch(keys => {
+            calls.push(keys);
+            return Promise.resolve(keys);
+        }, {maxBatchSize: 3, wait: 10});
+        const first = loader.loadMany([1, 2, 3, 4]);
+        expect(calls).to.deep.equal([[1, 2, 3]]);
+        await delay(1);
+        const later = loader.load(5);
+        expect(await first).to.deep.equal([1, 2, 3, 4]);
+        expect(await later).to.equal(5);
+        expect(calls).to.deep.equal([[1, 2, 3], [4, 5]]);
+    });
+
+    it('should accept callback-based batch functions', async () => {
+        const loader = batch((keys, callback) => setImmediate(() => callback(null, keys.map(key => key.toUpperCase()))));
+        expect(await loader.loadMany(['a', 'b'])).to.deep.equal(['A', 'B']);
+    });
+
+    it('should report errors per key and reject the whole batch when the call fails', async () => {
+        const loader = batch(keys => Promise.resolve(keys.map(key => (key === 2 ? new Error('not found') : key))));
+        const results = await Promise.allSettled([loader.load(1), loader.load(2)]);
+        expect(results[0]).to.deep.equal({status: 'fulfilled', value: 1});
+        expect(results[1].reason.message).to.equal('not found');
+
+        const failing = batch(() => Promise.reject(new Error('database down')));
+        const failures = await Promise.allSettled([failing.load(1), failing.load(2)]);
+        expect(failures.map(result => result.reason.message)).to.deep.equal(['database down', 'database down']);
+
+        const short = batch(() => Promise.resolve([]));
+        let error;
+        try {
+            await short.load(1);
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+    });
+
+    it('should send collected keys right away on flush', async () => {
+        const calls = [];
+        const loader = batch(keys => {
+            calls.push(keys);
+            return Promise.resolve(keys);
+        }, {wait: 1000});
+        const value = loader.load('now');
+        loader.flush();
+        expect(await value).to.equal('now');
+        expect(calls).to.deep.equal([['now']]);
+    });
+});
+
+describe('debounce and throttle', () => {
+    it('should settle every debounced caller with the trailing call', async () => {
+        const calls = [];
+        const save = debounce(async text => {
+            calls.push(text);
+            return `saved ${text}`;
+        }, 10);
+        const results = await Promise.all([save('a'), save('ab'), save('abc')]);
+        expect(calls).to.deep.equal(['abc']);
+        expect(results).to.deep.equal(['saved abc', 'saved abc', 'saved abc']);
+    });
+
+    it('should reject every debounced caller when the call fails', async () => {
+        const save = debounce(() => Promise.reject(new Error('offline')), 5);
+        const results = await Promise.allSettled([save(1), save(2)]);
+        expect(results.map(result => result.reason.message)).to.deep.equal(['offline', 'offline']);
+    });
+
+    it('should run leading and trailing debounced calls', async () => {
+        const calls = [];
+        const search = debounce(query => {
+            calls.push(query);
+            return Promise.resolve(query.length);
+        }, 10, {leading: true});
+        const first = search('a');
+        const rest = [search('ab'), search('abc')];
+        expect(await first).to.equal(1);
+        expect(await Promise.all(rest)).to.deep.equal([3, 3]);
+        expect(calls).to.deep.equal(['a', 'abc']);
+    });
+
+    it('should give callers the leading result when trailing calls are disabled', async () => {
+        let count = 0;
+        const refresh = debounce(() => Promise.resolve(++count), 10, {leading: true, trailing: false});
+        expect(await Promise.all([refresh(), refresh()])).to.deep.equal([1, 1]);
+        expect(() => debounce(() => {}, 10, {trailing: false})).to.throw(TypeError);
+    });
+
+    it('should not delay debounced calls past maxWait', async () => {
+        const calls = [];
+        const save = debounce(value => calls.push(value), 10, {maxWait: 25});
+        for (let i = 0; i < 6; i++) {
+            save(i);
+            await delay(6);
+        }
+        expect(calls.length).to.be.at.least(1);
+        await save.flush();
+        expect(calls[calls.length - 1]).to.equal(5);
+    });
+
+    it('should run the pending call on flush and reject callers on cancel', async () => {
+        const calls = [];
+        const save = debounce(value => {
+            calls.push(value);
+            return value;
+        }, 1000);
+        const flushed = save('now');
+        expect(await save.flush()).to.equal('now');
+        expect(await flushed).to.equal('now');
+
+        const cancelled = save('never');
+        save.cancel('navigated away');
+        let error;
+        try {
+            await cancelled;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.cause).to.equal('navigated away');
+        expect(calls).to.deep.equal(['now']);
+    });
+
+    it('should preserve this for debounced methods', async () => {
+        const store = {
+            prefix: 'id-',
+            save: debounce(function (value) {
+                return Promise.resolve(this.prefix + value);
+            }, 1)
+        };
+        expect(await store.save(1)).to.equal('id-1');
+    });
+
+    it('should run throttled calls at most once per interval', async () => {
+        const calls = [];
+        const track = throttle(value => {
+            calls.push([value, Date.now()]);
+            return Promise.resolve(value);
+        }, 20);
+        const results = await Promise.all([track(1), track(2), track(3)]);
+        expect(results).to.deep.equal([1, 3, 3]);
+        expect(calls.map(call => call[0])).to.deep.equal([1, 3]);
+        expect(calls[1][1] - calls[0][1]).to.be.at.least(15);
+
+        const next = track(4);
+        expect(calls.length).to.equal(2);
+        expect(await next).to.equal(4);
+    });
+
+    it('should cancel pending throttled calls', async () => {
+        const throttled = throttle(value => Promise.resolve(value), 50);
+        await throttled('first');
+        const pending = throttled('second');
+        throttled.cancel();
+        let error;
+        try {
+            await pending;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+    });
+});
+
+describe('Event adapters', () => {
+    const listenerCount = emitter => emitter.eventNames().reduce((count, name) => count + emitter.listenerCount(name), 0);
+
+    it('should resolve fromEvent with the first matching event', async () => {
+        const emitter = new EventEmitter();
+        const message = fromEvent(emitter, 'message', {filter: msg => msg.type === 'ready'});
+        emitter.emit('message', {type: 'ping'});
+        emitter.emit('message', {type: 'ready'});
+        expect(await message).to.deep.equal({type: 'ready'});
+        expect(listenerCount(emitter)).to.equal(0);
+
+        const response = fromEvent(emitter, 'response', {multiArgs: true});
+        emitter.emit('response', 200, 'OK');
+        expect(await response).to.deep.equal([200, 'OK']);
+    });
+
+    it('should reject fromEvent on rejection events, timeouts and aborts', async () => {
+        const emitter = new EventEmitter();
+        const failed = fromEvent(emitter, 'connect', {rejectionEvents: ['error', 'close']}).catch(err => err);
+        emitter.emit('close', new Error('closed'));
+        expect((await failed).message).to.equal('closed');
+
+        const timedOut = fromEvent(emitter, 'connect', {timeout: 5}).catch(err => err);
+        expect(await timedOut).to.be.instanceOf(TimeoutError);
+
+        const controller = new AbortController();
+        const aborted = fromEvent(emitter, 'connect', {signal: controller.signal}).catch(err => err);
+        controller.abort();
+        expect(await aborted).to.be.instanceOf(AbortError);
+        expect(listenerCount(emitter)).to.equal(0);
+    });
+
+    it('should settle fromEvent on events emitted while its listeners are added', async () => {
+        const emitter = new EventEmitter();
+        const controller = new AbortController();
+        const added = fromEvent(emitter, 'newListener', {timeout: 5, signal: controller.signal});
+        expect(await added).to.equal('error');
+        expect(listenerCount(emitter)).to.equal(0);
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should support EventTarget in fromEvent', async () => {
+        const target = new EventTarget();
+        const event = fromEvent(target, 'ping');
+        target.dispatchEvent(new Event('ping'));
+        expect((await event).type).to.equal('ping');
+    });
+
+    it('should iterate over events until the end event', async () => {
+        const emitter = new EventEmitter();
+        const messages = eventIterator(emitter, 'data', {until: 'end'});
+        emitter.emit('data', 1);
+        emitter.emit('data', 2);
+        setImmediate(() => {
+            emitter.emit('data', 3);
+            emitter.emit('end');
+        });
+        const received = [];
+        for await (const message of messages) {
+            received.push(message);
+        }
+        expect(received).to.deep.equal([1, 2, 3]);
+        expect(listenerCount(emitter)).to.equal(0);
+    });
+
+    it('should deliver buffered events before failing on error', async () => {
+        const emitter = new EventEmitter();
+        const messages = eventIterator(emitter, 'data');
+        emitter.emit('data', 'a');
+        emitter.emit('error', new Error('reset'));
+        const received = [];
+        let error;
+        try {
+            for await (const message of messages) {
+                received.push(message);
+            }
+        } catch (err) {
+            error = err;
+        }
+        expect(received).to.deep.equal(['a']);
+        expect(error.message).to.equal('reset');
+        expect(listenerCount(emitter)).to.equal(0);
+    });
+
+    it('should remove listeners when the consumer stops early', async () => {
+        const emitter = new EventEmitter();
+        setImmediate(() => ['a', 'b', 'c'].forEach(value => emitter.emit('data', value)));
+        for await (const message of eventIterator(emitter, 'data')) {
+            if (message === 'b') {
+                break;
+            }
+        }
+        expect(listenerCount(emitter)).to.equal(0);
+    });
+
+    it('should pause the emitter at highWaterMark or fail without pause()', async () => {
+        const socket = new EventEmitter();
+        socket.paused = false;
+        socket.pause = () => {
+            socket.paused = true;
+        };
+        socket.resume = () => {
+            socket.paused = false;
+        };
+        const messages = eventIterator(socket, 'data', {highWaterMark: 2});
+        socket.emit('data', 1);
+        socket.emit('data', 2);
+        expect(socket.paused).to.equal(true);
+        expect(await messages.next()).to.deep.equal({value: 1, done: false});
+        expect(socket.paused).to.equal(false);
+        await messages.return();
+
+        const emitter = new EventEmitter();
+        const overflowing = eventIterator(emitter, 'data', {highWaterMark: 1});
+        emitter.emit('data', 1);
+        emitter.emit('data', 2);
+        const received = [];
+        let error;
+        try {
+            for await (const message of overflowing) {
+                received.push(message);
+            }
+        } catch (err) {
+            error = err;
+        }
+        expect(received).to.deep.equal([1, 2]);
+        expect(error.code).to.equal('ERR_BUFFER_OVERFLOW');
+    });
+
+    it('should feed events into map with concurrency control', async () => {
+        const emitter = new EventEmitter();
+        let active = 0;
+        let maxActive = 0;
+        const processed = map(eventIterator(emitter, 'message', {until: 'close'}), async message => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await delay(5);
+            active--;
+            return message * 2;
+        }, 2);
+        [1, 2, 3, 4].forEach(message => emitter.emit('message', message));
+        emitter.emit('close');
+        expect(await processed).to.deep.equal([2, 4, 6, 8]);
+        expect(maxActive).to.equal(2);
+        expect(listenerCount(emitter)).to.equal(0);
+    });
+});
+
+describe('coroutine', () => {
+    it('should resolve yielded promises, arrays, objects and thunks', async () => {
+        const load = coroutine(function* (id) {
+            const user = yield delay(1, {id});
+            const [orders, friends] = yield [delay(2, ['order']), Promise.resolve(['friend'])];
+            const {profile, settings} = yield {profile: delay(1, 'profile'), settings: Promise.resolve('settings')};
+            const legacy = yield callback => setImmediate(() => callback(null, 'legacy'));
+            return {user, orders, friends, profile, settings, legacy};
+        });
+        expect(await load(7)).to.deep.equal({
+            user: {id: 7},
+            orders: ['order'],
+            friends: ['friend'],
+            profile: 'profile',
+            settings: 'settings',
+            legacy: 'legacy'
+        });
+    });
+
+    it('should run nested generators and preserve this', async () => {
+        const child = function* (value) {
+            return (yield delay(1, value)) * 2;
+        };
+        const service = {
+            base: 10,
+            total: coroutine(function* () {
+                const doubled = yield child(this.base);
+                const more = yield function* () {
+                    return yield Promise.resolve(1);
+                };
+                return doubled + more;
+            })
+        };
+        expect(await service.total()).to.equal(21);
+    });
+
+    it('should throw rejections back into the generator at the yield', async () => {
+        const recover = coroutine(function* () {
+            try {
+                yield Promise.reject(new Error('failed'));
+            } catch (err) {
+                return `recovered from ${err.message}`;
+            }
+        });
+        expect(await recover()).to.equal('recovered from failed');
+
+        const fail = coroutine(function* () {
+            yield callback => callback(new Error('thunk failed'));
+        });
+        let error;
+        try {
+            await fail();
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('thunk failed');
+    });
+
+    it('should handle every rejection in a yielded object', async () => {
+        const unhandled = await unhandledRejectionsOf(async () => {
+            const recover = coroutine(function* () {
+                try {
+                    yield {a: Promise.reject(new Error('e1')), b: Promise.reject(new Error('e2'))};
+                } catch (err) {
+                    return `recovered from ${err.message}`;
+                }
+            });
+            expect(await recover()).to.equal('recovered from e1');
+        });
+        expect(unhandled).to.deep.equal([]);
+    });
+
+    it('should call generator.return() on cancel so finally blocks run', async () => {
+        const steps = [];
+        const task = coroutine(function* () {
+            try {
+                steps.push('start');
+                yield delay(50);
+                steps.push('unreachable');
+            } finally {
+                yield delay(1);
+                steps.push('cleanup');
+            }
+        });
+        const promise = task();
+        await delay(5);
+        promise.cancel('user left');
+        let error;
+        try {
+            await promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.cause).to.equal('user left');
+        expect(steps).to.deep.equal(['start', 'cleanup']);
+        await delay(60);
+        expect(steps).to.deep.equal(['start', 'cleanup']);
+    });
+
+    it('should not leave listeners on the signal once settled', async () => {
+        const controller = new AbortController();
+        const run = coroutine(function* (value) {
+            return yield delay(1, value);
+        }).withSignal(controller.signal);
+        expect(await run(1)).to.equal(1);
+        expect(EventEmitter.getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should cancel nested generators through an AbortSignal', async () => {
+        const steps = [];
+        const child = function* () {
+            try {
+                yield delay(50);
+            } finally {
+                steps.push('child cleanup');
+            }
+        };
+        const controller = new AbortController();
+        const promise = coroutine(function* () {
+            try {
+                yield child();
+            } finally {
+                steps.push('parent cleanup');
+            }
+        }).withSignal(controller.signal)();
+        await delay(5);
+        controller.abort();
+        let error;
+        try {
+            await promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(steps).to.have.members(['parent cleanup', 'child cleanup']);
+    });
+});
+
+describe('Progress reporting', () => {
+    it('should report counts as series tasks start and settle', async () => {
+        const reports = [];
+        await series([() => delay(2, 'a'), () => delay(2, 'b')], {onProgress: report => reports.push(report)});
+        expect(reports.map(({completed, running, pending, percent}) => [completed, running, pending, percent])).to.deep.equal([
+            [0, 1, 1, 0],
+            [1, 0, 1, 50],
+            [1, 1, 0, 50],
+            [2, 0, 0, 100]
+        ]);
+        const last = reports[reports.length - 1];
+        expect(last.total).to.equal(2);
+        expect(last.eta).to.equal(0);
+        expect(last.throughput).to.be.above(0);
+    });
+
+    it('should roll fractional task progress into the percentage', async () => {
+        const percents = [];
+        await map([1, 2], async (item, {progress}) => {
+            progress(0.5);
+            await delay(1);
+            progress(1);
+            return item;
+        }, 1, {onProgress: report => percents.push(report.percent)});
+        expect(percents).to.deep.equal([0, 25, 50, 50, 50, 75, 100, 100]);
+    });
+
+    it('should count failed queue tasks and emit progress events', async () => {
+        const emitter = new EventEmitter();
+        const reports = [];
+        emitter.on('progress', report => reports.push(report));
+        await queue([
+            () => Promise.resolve(1),
+            () => Promise.reject(new Error('failed')),
+            () => Promise.resolve(3)
+        ], 2, {errorMode: 'settle', onProgress: emitter});
+        const last = reports[reports.length - 1];
+        expect(last).to.include({completed: 2, failed: 1, running: 0, pending: 0, percent: 100});
+    });
+
+    it('should report progress of each over iterables of unknown size', async () => {
+        const reports = [];
+        const items = (function* () {
+            yield 1;
+            yield 2;
+        })();
+        await each(items, async (item, {progress}) => progress(0.5), {onProgress: report => reports.push(report)});
+        expect(reports[reports.length - 1]).to.include({completed: 2, total: undefined, percent: undefined, eta: undefined});
+
+        const counted = [];
+        await each(new Set(['a']).values(), () => Promise.resolve(), {total: 1, onProgress: report => counted.push(report.percent)});
+        expect(counted).to.deep.equal([0, 100]);
+    });
+
+    it('should give tasks a progress reporter without onProgress', async () => {
+        const results = await queue([({progress}) => {
+            progress(0.5);
+            return Promise.resolve('ok');
+        }], 1, {taskTimeout: 100});
+        expect(results).to.deep.equal(['ok']);
+    });
+});
+
+describe('Run handles', () => {
+    it('should pause series after the current step and resume it', async () => {
+        const started = [];
+        const task = name => () => {
+            started.push(name);
+            return delay(5, name);
+        };
+        const run = series([task('a'), task('b'), task('c')], {controllable: true});
+        await delay(1);
+        run.pause();
+        await delay(20);
+        expect(started).to.deep.equal(['a']);
+        expect(run.state).to.deep.equal({status: 'paused', index: 0, completed: 1, results: ['a']});
+        run.resume();
+        expect(await run.promise).to.deep.equal(['a', 'b', 'c']);
+        expect(run.state).to.deep.equal({status: 'completed', index: 2, completed: 3, results: ['a', 'b', 'c']});
+    });
+
+    it('should abort a paused run', async () => {
+        const seen = [];
+        const run = each([1, 2, 3], item => {
+            seen.push(item);
+            return delay(5);
+        }, {controllable: true});
+        run.pause();
+        await delay(10);
+        run.abort('maintenance window closed');
+        let error;
+        try {
+            await run.promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.cause).to.equal('maintenance window closed');
+        expect(seen).to.deep.equal([]);
+        expect(run.state).to.include({status: 'aborted', completed: 0});
+    });
+
+    it('should expose the reduce accumulator and abort between steps', async () => {
+        const run = reduce([1, 2, 3, 4], async (sum, item) => {
+            await delay(5);
+            return sum + item;
+        }, 0, {controllable: true});
+        await delay(12);
+        run.pause();
+        const {accumulator, completed} = run.state;
+        expect(accumulator).to.equal([0, 1, 3, 6][completed]);
+        run.abort();
+        let error;
+        try {
+            await run.promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(run.state.completed).to.be.below(4);
+    });
+
+    it('should follow the signal option and report failures', async () => {
+        const controller = new AbortController();
+        const run = series([() => delay(20)], {controllable: true, signal: controller.signal});
+        controller.abort();
+        let error;
+        try {
+            await run.promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(AbortError);
+        expect(run.state.status).to.equal('aborted');
+
+        const failing = each([1], () => Promise.reject(new Error('failed')), {controllable: true});
+        try {
+            await failing.promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('failed');
+        expect(failing.state.status).to.equal('failed');
+
+        const signalled = new AbortController();
+        await series([() => Promise.resolve()], {controllable: true, signal: signalled.signal}).promise;
+        expect(EventEmitter.getEventListeners(signalled.signal, 'abort')).to.have.length(0);
+    });
+});
+
+describe('createDurableQueue', () => {
+    let dir;
+    let logPath;
+    const open = options => createDurableQueue(Object.assign({path: logPath, minDelay: 5, backoff: 'fixed'}, options));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'durable-queue-'));
+        logPath = path.join(dir, 'jobs.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('should run stored jobs by priority and acknowledge them', async () => {
+        const jobs = open();
+        const handled = [];
+        await jobs.start();
+        await Promise.all([
+            jobs.add('email', {to: 'low'}),
+            jobs.add('email', {to: 'high'}, {priority: 5})
+        ]);
+        jobs.register('email', payload => {
+            handled.push(payload.to);
+            return Promise.resolve();
+        });
+        await jobs.onIdle();
+        await jobs.close();
+        expect(handled).to.deep.equal(['high', 'low']);
+        expect(jobs.size).to.equal(0);
+
+        const reopened = open();
+        await reopened.start();
+        expect(reopened.size).to.equal(0);
+        expect(fs.readFileSync(logPath, 'utf8')).to.equal('');
+        await reopened.close();
+    });
+
+    it('should keep pending jobs across restarts', async () => {
+        const producer = open();
+        await producer.start();
+        const id = await producer.add('report', {month: 'May'});
+        await producer.close();
+
+        const consumer = open();
+        const completed = [];
+        consumer.on('completed', (job, result) => completed.push([job.id, job.payload.month, result]));
+        consumer.register('report', payload => Promise.resolve(`report for ${payload.month}`));
+        await consumer.start();
+        await consumer.onIdle();
+        await consumer.close();
+        expect(completed).to.deep.equal([[id, 'May', 'report for May']]);
+    });
+
+    it('should retry failed jobs and dead-letter them after maxAttempts', async () => {
+        const jobs = open({maxAttempts: 3});
+        const attempts = [];
+        const dead = [];
+        jobs.on('dead', (job, err) => dead.push([job.payload, job.attempts, err.message]));
+        jobs.register('charge', (payload, {job}) => {
+            attempts.push(job.attempts);
+            return payload.ok || job.attempts === 2 ? Promise.resolve() : Promise.reject(new Error('declined'));
+        });
+        await jobs.start();
+        await jobs.add('charge', {ok: false, id: 1});
+        await delay(40);
+        expect(attempts).to.deep.equal([1, 2]);
+
+        jobs.register('charge', () => Promise.reject(new Error('card expired')));
+        await jobs.add('charge', {id: 2});
+        await delay(40);
+        await jobs.close();
+        expect(dead).to.deep.equal([[{id: 2}, 3, 'card expired']]);
+        const letters = await jobs.deadLetters();
+        expect(letters).to.have.length(1);
+        expect(letters[0]).to.include({name: 'charge', attempts: 3});
+        expect(letters[0].error.message).to.equal('card expired');
+    });
+
+    it('should run delayed jobs once they are due', async () => {
+        const jobs = open();
+        const handled = [];
+        jobs.register('remind', payload => handled.push([payload, Date.now()]));
+        await jobs.start();
+        const addedAt = Date.now();
+        await jobs.add('remind', 'later', {delay: 30});
+        await jobs.add('remind', 'now');
+        await delay(10);
+        expect(handled.map(entry => entry[0])).to.deep.equal(['now']);
+        await delay(40);
+        await jobs.close();
+        expect(handled.map(entry => entry[0])).to.deep.equal(['now', 'later']);
+        expect(handled[1][1] - addedAt).to.be.at.least(25);
+    });
+
+    it('should recover jobs that were running when the process stopped', async () => {
+        // The log of a process that died while running the job, before acknowledging it
+        fs.writeFileSync(logPath, [
+            JSON.stringify({op: 'add', id: 'job-1', name: 'import', payload: {file: 'a.csv'}, priority: 0, runAt: 0, attempts: 0, createdAt: 0}),
+            JSON.stringify({op: 'start', id: 'job-1', attempts: 1})
+        ].join('\n') + '\n');
+        const recovered = open({maxAttempts: 2});
+        const handled = [];
+        recovered.register('import', (payload, {job}) => {
+            handled.push([payload.file, job.attempts]);
+            return Promise.resolve();
+        });
+        await recovered.start();
+        await recovered.onIdle();
+        await recovered.close();
+        expect(handled).to.deep.equal([['a.csv', 2]]);
+    });
+
+    it('should dead-letter recovered jobs that used up their attempts', async () => {
+        fs.writeFileSync(logPath, [
+            JSON.stringify({op: 'add', id: 'job-1', name: 'import', payload: 1, priority: 0, runAt: 0, attempts: 0, createdAt: 0}),
+            JSON.stringify({op: 'start', id: 'job-1', attempts: 1}),
+            '{"op": "add", "id": "job-2", "na'
+        ].join('\n'));
+        const jobs = open({maxAttempts: 1});
+        await jobs.start();
+        expect(jobs.size).to.equal(0);
+        const letters = await jobs.deadLetters();
+        expect(letters.map(letter => letter.id)).to.deep.equal(['job-1']);
+        await jobs.close();
+    });
+
+    it('should require start() before adding jobs', async () => {
+        const jobs = open();
+        let error;
+        try {
+            await jobs.add('email', {});
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Call start() before adding jobs');
+        expect(() => createDurableQueue({})).to.throw(TypeError);
+    });
+});